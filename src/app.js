@@ -7,6 +7,7 @@ import { fileURLToPath } from 'url';
 
 import { errorHandler } from './middlewares/errorHandler.js';
 import { notFound } from './middlewares/notFound.js';
+import { PAGINATION_HEADERS } from './utils/pagination.js';
 
 import healthRoutes from './routes/healthRoutes.js';
 import authRoutes from './routes/authRoutes.js';
@@ -117,6 +118,8 @@ app.use(
       return callback(new Error(`CORS bloqueado para origen: ${origin}`));
     },
     credentials: true,
+    // Permitir que el frontend lea el total de los listados paginados
+    exposedHeaders: PAGINATION_HEADERS,
   }),
 );
 
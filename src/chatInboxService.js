@@ -0,0 +1,132 @@
+import { supabase } from './config/supabase.js';
+import { parseConversationId, serializeChatMessages } from './chatService.js';
+import { messagePreviewText } from './utils/chatMessage.js';
+import { httpError } from './utils/httpError.js';
+
+// Bandeja de conversaciones del usuario (RPC list_chat_conversations) y su estado por participante
+// (chat_conversation_members: última lectura, silenciado, archivado).
+
+// Nombre y avatar del otro participante: el negocio para el cliente, el cliente para el negocio
+async function loadCounterparts(rows) {
+  const businessIds = Array.from(new Set(rows.filter((r) => r.viewer_role === 'customer').map((r) => r.business_id)));
+  const customerIds = Array.from(new Set(rows.filter((r) => r.viewer_role === 'business').map((r) => r.customer_id)));
+
+  const [{ data: businesses }, { data: profiles }] = await Promise.all([
+    businessIds.length > 0
+      ? supabase.from('businesses').select('id, name, logo_url, owner_id').in('id', businessIds)
+      : Promise.resolve({ data: [] }),
+    customerIds.length > 0
+      ? supabase.from('profiles').select('id, name').in('id', customerIds)
+      : Promise.resolve({ data: [] }),
+  ]);
+
+  const businessById = new Map((businesses || []).map((b) => [String(b.id), b]));
+  const profileById = new Map((profiles || []).map((p) => [String(p.id), p]));
+
+  return (row) => {
+    if (row.viewer_role === 'customer') {
+      const biz = businessById.get(String(row.business_id));
+      return {
+        type: 'business',
+        id: row.business_id,
+        userId: biz?.owner_id || null,
+        name: biz?.name || 'Negocio',
+        avatarUrl: biz?.logo_url || null,
+      };
+    }
+    const profile = profileById.get(String(row.customer_id));
+    return {
+      type: 'customer',
+      id: row.customer_id,
+      userId: row.customer_id,
+      name: profile?.name || 'Cliente',
+      // profiles no tiene avatar; solo se lee el nombre (nada de datos de contacto)
+      avatarUrl: null,
+    };
+  };
+}
+
+// Devuelve { items, total }. archived=true lista solo las archivadas.
+export const listConversations = async ({ userId, archived = false, page = 1, limit = 24 }) => {
+  const offset = (page - 1) * limit;
+  const { data, error } = await supabase.rpc('list_chat_conversations', {
+    p_user_id: userId,
+    p_archived: archived,
+    p_limit: limit,
+    p_offset: offset,
+  });
+  if (error) throw httpError(500, 'Error al obtener conversaciones');
+
+  let rows = Array.isArray(data) ? data : [];
+  let total = rows.length > 0 ? Number(rows[0].total_count) || 0 : 0;
+
+  // Página fuera de rango: el total sale de la primera página
+  if (rows.length === 0 && offset > 0) {
+    const { data: first } = await supabase.rpc('list_chat_conversations', {
+      p_user_id: userId,
+      p_archived: archived,
+      p_limit: 1,
+      p_offset: 0,
+    });
+    total = Array.isArray(first) && first.length > 0 ? Number(first[0].total_count) || 0 : 0;
+    rows = [];
+  }
+
+  const counterpartOf = await loadCounterparts(rows);
+  const lastMessages = await serializeChatMessages(rows.map((r) => r.last_message).filter(Boolean));
+  const lastById = new Map(lastMessages.map((m) => [String(m.order_id), m]));
+
+  const items = rows.map((row) => {
+    const lastMessage = lastById.get(String(row.conversation_id)) || null;
+    return {
+      conversationId: row.conversation_id,
+      businessId: row.business_id,
+      customerId: row.customer_id,
+      role: row.viewer_role,
+      counterpart: counterpartOf(row),
+      lastMessage,
+      preview: lastMessage ? messagePreviewText(lastMessage) : '',
+      lastActivityAt: row.last_message_at,
+      unreadCount: Number(row.unread_count) || 0,
+      muted: row.muted === true,
+      archived: row.archived === true,
+    };
+  });
+
+  return { items, total };
+};
+
+async function upsertMemberState(conversationId, userId, patch) {
+  const ids = parseConversationId(conversationId);
+  if (!ids) throw httpError(400, 'Conversación inválida', 'invalid_conversation');
+
+  // La fila de chat_conversations la crea el trigger con el primer mensaje; si aún no hay mensajes se crea aquí
+  await supabase
+    .from('chat_conversations')
+    .upsert({ id: conversationId, business_id: ids.businessId, customer_id: ids.customerId }, { onConflict: 'id', ignoreDuplicates: true });
+
+  const { data, error } = await supabase
+    .from('chat_conversation_members')
+    .upsert(
+      { conversation_id: conversationId, user_id: userId, ...patch, updated_at: new Date().toISOString() },
+      { onConflict: 'conversation_id,user_id' },
+    )
+    .select('conversation_id, last_read_at, muted, archived')
+    .single();
+  if (error) throw httpError(500, 'Error al actualizar la conversación');
+
+  return {
+    conversationId: data.conversation_id,
+    lastReadAt: data.last_read_at,
+    muted: data.muted === true,
+    archived: data.archived === true,
+  };
+}
+
+// patch: { muted?, archived? }
+export const updateConversationState = async ({ conversationId, userId, muted, archived }) => upsertMemberState(conversationId, userId, {
+  ...(typeof muted === 'boolean' ? { muted } : {}),
+  ...(typeof archived === 'boolean' ? { archived } : {}),
+});
+
+export default { listConversations, updateConversationState };
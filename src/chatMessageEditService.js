@@ -0,0 +1,156 @@
+import { supabase } from './config/supabase.js';
+import { MAX_MESSAGE_TEXT_LENGTH } from './chatService.js';
+import { httpError } from './utils/httpError.js';
+
+// Edición y borrado de mensajes individuales del chat.
+// - Editar: solo el remitente, dentro de CHAT_MESSAGE_EDIT_WINDOW_MINUTES; texto (mensajes de texto) o
+//   caption (imágenes/archivos). La versión anterior queda en chat_message_edits (RPC edit_chat_message).
+// - Borrar para todos: solo el remitente; borrado lógico (deleted_at) con tombstone para los
+//   participantes. Los admins siguen viendo el contenido y el historial de ediciones.
+// - Borrar para mí: cualquier participante; solo se oculta para él (chat_message_hidden).
+// REST y socket usan estas funciones; el socket se suscribe con onMessageChange para emitir
+// message:updated / message:deleted a la sala.
+
+const EDIT_WINDOW_MINUTES = Number(process.env.CHAT_MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const EDITABLE_TYPES = ['text', 'image', 'file'];
+
+export const DELETE_SCOPES = ['me', 'everyone'];
+
+const listeners = new Set();
+
+// listener({ action: 'updated' | 'deleted', conversationId, message, scope, userId })
+export function onMessageChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function emitChange(change) {
+  for (const listener of listeners) {
+    try {
+      listener(change);
+    } catch {
+      // ignore
+    }
+  }
+}
+
+// Ids con los que se guardan los mensajes de la conversación (conv:... y el orderId legado)
+export const conversationThreadIds = (meta) => [meta?.conversationId, meta?.orderId].filter(Boolean).map(String);
+
+// El mensaje debe pertenecer a la conversación sobre la que el usuario ya fue autorizado
+async function loadConversationMessage(messageId, meta) {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('id', messageId)
+    .maybeSingle();
+  if (error) throw httpError(500, 'Error al obtener el mensaje');
+  if (!message || !conversationThreadIds(meta).includes(String(message.order_id))) {
+    throw httpError(404, 'Mensaje no encontrado', 'message_not_found');
+  }
+  return message;
+}
+
+export const editMessage = async ({ meta, messageId, userId, text }) => {
+  const message = await loadConversationMessage(messageId, meta);
+
+  if (String(message.sender_id || '') !== String(userId)) {
+    throw httpError(403, 'Solo quien envió el mensaje puede editarlo', 'not_message_sender');
+  }
+  if (message.deleted_at) throw httpError(409, 'El mensaje fue eliminado', 'message_deleted');
+  if (!EDITABLE_TYPES.includes(message.type || 'text')) {
+    throw httpError(400, 'Este tipo de mensaje no se puede editar', 'message_not_editable');
+  }
+
+  const notBefore = new Date(Date.now() - EDIT_WINDOW_MINUTES * 60 * 1000);
+  if (new Date(message.created_at).getTime() < notBefore.getTime()) {
+    throw httpError(403, `Los mensajes solo se pueden editar durante ${EDIT_WINDOW_MINUTES} minutos`, 'edit_window_expired');
+  }
+
+  const nextText = String(text ?? '').trim().slice(0, MAX_MESSAGE_TEXT_LENGTH);
+  const isText = (message.type || 'text') === 'text';
+  if (isText && !nextText) throw httpError(400, 'Texto requerido', 'text_required');
+
+  // En imágenes/archivos se edita el caption (text es igual al caption)
+  const current = isText ? message.text : (message.caption || '');
+  if (nextText === String(current || '').trim()) return message;
+
+  const { data, error } = await supabase.rpc('edit_chat_message', {
+    p_message_id: String(message.id),
+    p_editor_id: userId,
+    p_text: nextText,
+    p_caption: isText ? message.caption : (nextText || null),
+    p_not_before: notBefore.toISOString(),
+  });
+  if (error) throw httpError(500, 'Error al editar el mensaje');
+
+  // Sin filas: se borró o venció la ventana entre la lectura y la edición
+  const updated = Array.isArray(data) ? data[0] : data;
+  if (!updated) throw httpError(409, 'El mensaje ya no se puede editar', 'message_not_editable');
+
+  emitChange({ action: 'updated', conversationId: meta.conversationId, message: updated, userId: String(userId) });
+  return updated;
+};
+
+// scope 'me': devuelve { message: null }; 'everyone': el mensaje con deleted_at (idempotente)
+export const deleteMessage = async ({ meta, messageId, userId, scope = 'me' }) => {
+  if (!DELETE_SCOPES.includes(scope)) throw httpError(400, 'Alcance de borrado inválido', 'invalid_scope');
+  const message = await loadConversationMessage(messageId, meta);
+
+  if (scope === 'me') {
+    const { error } = await supabase
+      .from('chat_message_hidden')
+      .upsert({ message_id: String(message.id), user_id: userId }, { onConflict: 'message_id,user_id', ignoreDuplicates: true });
+    if (error) throw httpError(500, 'Error al eliminar el mensaje');
+
+    emitChange({ action: 'deleted', scope, conversationId: meta.conversationId, message, userId: String(userId) });
+    return { messageId: message.id, scope, message: null };
+  }
+
+  if (String(message.sender_id || '') !== String(userId)) {
+    throw httpError(403, 'Solo quien envió el mensaje puede eliminarlo para todos', 'not_message_sender');
+  }
+  if (message.deleted_at) return { messageId: message.id, scope, message };
+
+  const { data: deleted, error } = await supabase
+    .from('messages')
+    .update({ deleted_at: new Date().toISOString(), deleted_by: userId })
+    .eq('id', message.id)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+  if (error) throw httpError(500, 'Error al eliminar el mensaje');
+
+  // Otro request lo borró primero: se devuelve el estado actual
+  const result = deleted || await loadConversationMessage(messageId, meta);
+  if (deleted) emitChange({ action: 'deleted', scope, conversationId: meta.conversationId, message: deleted, userId: String(userId) });
+  return { messageId: message.id, scope, message: result };
+};
+
+// Historial de ediciones (más reciente primero). Solo para moderación.
+export const getMessageEdits = async ({ meta, messageId }) => {
+  const message = await loadConversationMessage(messageId, meta);
+  const { data, error } = await supabase
+    .from('chat_message_edits')
+    .select('id, editor_id, previous_text, previous_caption, edited_at')
+    .eq('message_id', String(message.id))
+    .order('edited_at', { ascending: false });
+  if (error) throw httpError(500, 'Error al obtener el historial de ediciones');
+
+  return (data || []).map((e) => ({
+    id: e.id,
+    editorId: e.editor_id,
+    previousText: e.previous_text,
+    previousCaption: e.previous_caption,
+    editedAt: e.edited_at,
+  }));
+};
+
+export default {
+  DELETE_SCOPES,
+  editMessage,
+  deleteMessage,
+  getMessageEdits,
+  onMessageChange,
+  conversationThreadIds,
+};
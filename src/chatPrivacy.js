@@ -0,0 +1,133 @@
+import { randomUUID } from 'crypto';
+import { supabase } from './config/supabase.js';
+
+// Preferencias de privacidad del chat por usuario, persistidas en user_settings
+// (show_connection_status, show_read_receipts). El Map es un caché del proceso: el socket lo carga al
+// conectar y lo consulta de forma síncrona (presencia, read receipts en vivo); la API REST lo
+// refresca antes de calcular el estado de cada mensaje. Cada cambio se difunde por un canal de
+// Supabase Realtime (broadcast) para que las demás instancias actualicen su caché y su presencia.
+// showConnectionStatus=false => nadie ve tu online/lastSeen, y tú tampoco ves el de otros.
+// showReadReceipts=false => no se emiten ni se reciben read receipts.
+const privacyByUser = new Map(); // userId -> { showConnectionStatus, showReadReceipts }
+const listeners = new Set();
+
+export const privacyFromSettings = (row) => ({
+  showConnectionStatus: row?.show_connection_status !== false,
+  showReadReceipts: row?.show_read_receipts !== false,
+});
+
+export function getPrivacy(userId) {
+  if (!userId) return { showConnectionStatus: true, showReadReceipts: true };
+  const p = privacyByUser.get(String(userId));
+  return {
+    showConnectionStatus: p?.showConnectionStatus !== false,
+    showReadReceipts: p?.showReadReceipts !== false,
+  };
+}
+
+// Solo actualiza el caché (p. ej. después de que la API REST ya guardó en la BD)
+export function setPrivacy(userId, next) {
+  if (!userId) return;
+  const current = getPrivacy(userId);
+  const updated = {
+    showConnectionStatus: typeof next?.showConnectionStatus === 'boolean' ? next.showConnectionStatus : current.showConnectionStatus,
+    showReadReceipts: typeof next?.showReadReceipts === 'boolean' ? next.showReadReceipts : current.showReadReceipts,
+  };
+  privacyByUser.set(String(userId), updated);
+
+  if (updated.showConnectionStatus !== current.showConnectionStatus || updated.showReadReceipts !== current.showReadReceipts) {
+    for (const listener of listeners) {
+      try {
+        listener(String(userId), updated);
+      } catch {
+        // ignore
+      }
+    }
+  }
+}
+
+// El socket se suscribe para avisar a los watchers de presencia cuando cambia la privacidad
+// (también si el cambio llegó por PATCH /api/user-settings/me)
+export function onPrivacyChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const SYNC_CHANNEL = 'chat-privacy';
+const SYNC_EVENT = 'privacy:changed';
+const INSTANCE_ID = randomUUID();
+let syncChannel = null;
+let publishChannel = null;
+
+// Suscribe esta instancia a los cambios hechos en otras (se llama una vez desde server.js)
+export function startPrivacySync() {
+  if (syncChannel) return syncChannel;
+  syncChannel = supabase
+    .channel(SYNC_CHANNEL, { config: { broadcast: { self: false } } })
+    .on('broadcast', { event: SYNC_EVENT }, ({ payload }) => {
+      if (!payload?.userId || payload.origin === INSTANCE_ID) return;
+      setPrivacy(payload.userId, payload.privacy);
+    })
+    .subscribe();
+  return syncChannel;
+}
+
+// Actualiza el caché local y avisa a las demás instancias (best-effort)
+export function publishPrivacy(userId, privacy) {
+  if (!userId) return;
+  setPrivacy(userId, privacy);
+  // Envío por REST: no depende de que el websocket de esta instancia esté conectado
+  if (!publishChannel) publishChannel = syncChannel || supabase.channel(SYNC_CHANNEL);
+  publishChannel
+    .httpSend(SYNC_EVENT, { userId: String(userId), privacy: getPrivacy(userId), origin: INSTANCE_ID })
+    .catch(() => {
+      // best-effort
+    });
+}
+
+// Lee la privacidad de la BD y refresca el caché. Si la consulta falla se conserva lo cacheado.
+export async function loadPrivacy(userIds) {
+  const ids = Array.from(new Set((userIds || []).filter(Boolean).map(String)));
+  if (ids.length === 0) return;
+
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select('user_id, show_connection_status, show_read_receipts')
+    .in('user_id', ids);
+  if (error) return;
+
+  const rowByUser = new Map((data || []).map((row) => [String(row.user_id), row]));
+  for (const id of ids) setPrivacy(id, privacyFromSettings(rowByUser.get(id)));
+}
+
+// Guarda en la BD y actualiza el caché (write-through del evento privacy:update)
+export async function savePrivacy(userId, next) {
+  if (!userId) return getPrivacy(userId);
+  const patch = {
+    user_id: userId,
+    ...(typeof next?.showConnectionStatus === 'boolean' ? { show_connection_status: next.showConnectionStatus } : {}),
+    ...(typeof next?.showReadReceipts === 'boolean' ? { show_read_receipts: next.showReadReceipts } : {}),
+    updated_at: new Date().toISOString(),
+  };
+
+  const { data, error } = await supabase
+    .from('user_settings')
+    .upsert(patch, { onConflict: 'user_id' })
+    .select('user_id, show_connection_status, show_read_receipts')
+    .single();
+  if (error) throw new Error(`No se pudo guardar la privacidad del chat: ${error.message}`);
+
+  publishPrivacy(userId, privacyFromSettings(data));
+  return getPrivacy(userId);
+}
+
+export default {
+  getPrivacy,
+  setPrivacy,
+  publishPrivacy,
+  startPrivacySync,
+  loadPrivacy,
+  savePrivacy,
+  onPrivacyChange,
+  privacyFromSettings,
+};
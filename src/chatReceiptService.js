@@ -0,0 +1,100 @@
+import { supabase } from './config/supabase.js';
+import { getPrivacy } from './chatPrivacy.js';
+import { httpError } from './utils/httpError.js';
+
+// Read/delivered receipts persistentes (chat_conversation_members.last_delivered_at / last_read_at).
+// Los marcadores solo avanzan (RPC mark_chat_receipt). El estado de cada mensaje se deriva de los
+// marcadores del destinatario: read > delivered > sent.
+
+const toTime = (iso) => (iso ? new Date(iso).getTime() : Number.NaN);
+
+export const serializeReceipt = (row) => ({
+  conversationId: row.conversation_id,
+  userId: row.user_id,
+  lastDeliveredAt: row.last_delivered_at || null,
+  lastReadAt: row.last_read_at || null,
+  lastReadMessageId: row.last_read_message_id || null,
+});
+
+export const recordReceipt = async ({ conversationId, userId, deliveredAt = null, readAt = null, readMessageId = null }) => {
+  const { data, error } = await supabase.rpc('mark_chat_receipt', {
+    p_conversation_id: conversationId,
+    p_user_id: userId,
+    p_delivered_at: deliveredAt,
+    p_read_at: readAt,
+    p_read_message_id: readMessageId ? String(readMessageId) : null,
+  });
+  if (error) {
+    if (error.code === '22023') throw httpError(400, 'Conversación inválida', 'invalid_conversation');
+    throw httpError(500, 'Error al guardar el estado de lectura');
+  }
+  const row = Array.isArray(data) ? data[0] : data;
+  return row ? serializeReceipt(row) : null;
+};
+
+// Leído hasta un mensaje concreto (su created_at) o, sin messageId, hasta ahora.
+// threadIds: ids con los que se guardan los mensajes de la conversación (conv:... y el orderId legado).
+export const markReadUpTo = async ({ conversationId, threadIds = [conversationId], userId, messageId = null }) => {
+  let readAt = new Date().toISOString();
+  if (messageId) {
+    const { data: message } = await supabase
+      .from('messages')
+      .select('id, order_id, created_at')
+      .eq('id', messageId)
+      .maybeSingle();
+    if (!message || !threadIds.map(String).includes(String(message.order_id))) {
+      throw httpError(404, 'Mensaje no encontrado', 'message_not_found');
+    }
+    readAt = message.created_at;
+  }
+  return recordReceipt({ conversationId, userId, readAt, readMessageId: messageId });
+};
+
+export const markDelivered = async ({ conversationId, userId, deliveredAt = null }) => recordReceipt({
+  conversationId,
+  userId,
+  deliveredAt: deliveredAt || new Date().toISOString(),
+});
+
+export const getReceiptMarkers = async (conversationId) => {
+  const { data, error } = await supabase
+    .from('chat_conversation_members')
+    .select('conversation_id, user_id, last_delivered_at, last_read_at, last_read_message_id')
+    .eq('conversation_id', conversationId);
+  if (error) return [];
+  return data || [];
+};
+
+// Agrega `status` (sent | delivered | read) a cada mensaje según los marcadores del otro participante.
+// "read" solo se muestra si el lector y quien consulta tienen showReadReceipts activo (si no, queda
+// como "delivered"), igual que el evento `read` del socket.
+export const withMessageStatus = (messages, { markers, participants, viewerId }) => {
+  const markerByUser = new Map((markers || []).map((m) => [String(m.user_id), m]));
+  const viewerSeesReceipts = getPrivacy(viewerId).showReadReceipts;
+  const members = (participants || []).filter(Boolean).map(String);
+
+  return (messages || []).map((message) => {
+    const sender = message?.sender_id ? String(message.sender_id) : null;
+    const recipients = members.filter((uid) => uid !== sender);
+    const sentAt = toTime(message?.created_at);
+    if (!sender || recipients.length === 0 || Number.isNaN(sentAt)) return { ...message, status: 'sent' };
+
+    const reached = (field) => recipients.some((uid) => toTime(markerByUser.get(uid)?.[field]) >= sentAt);
+    const readVisible = viewerSeesReceipts && recipients.some((uid) => getPrivacy(uid).showReadReceipts
+      && toTime(markerByUser.get(uid)?.last_read_at) >= sentAt);
+
+    let status = 'sent';
+    if (readVisible) status = 'read';
+    else if (reached('last_delivered_at') || reached('last_read_at')) status = 'delivered';
+    return { ...message, status };
+  });
+};
+
+export default {
+  recordReceipt,
+  markReadUpTo,
+  markDelivered,
+  getReceiptMarkers,
+  withMessageStatus,
+  serializeReceipt,
+};
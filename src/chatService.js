@@ -1,6 +1,83 @@
 import { supabase } from './config/supabase.js';
-import { parseDataUrl, guessFileExtFromMime } from './utils/dataUrl.js';
-import { randomUUID } from 'crypto';
+import { parseDataUrl } from './utils/dataUrl.js';
+import { uploadImage } from './imageUploadService.js';
+import { orderLabel, whereOrderKey } from './orderService.js';
+import { MESSAGE_TYPES, normalizeMessage, messageMediaPaths } from './utils/chatMessage.js';
+import { httpError } from './utils/httpError.js';
+
+// Límite de imágenes del chat (antes de convertir a WebP)
+export const CHAT_IMAGE_MAX_BYTES = 3 * 1024 * 1024;
+export const CHAT_MEDIA_BUCKET = process.env.SUPABASE_CHAT_MEDIA_BUCKET || process.env.CHAT_MEDIA_BUCKET || 'chat-media';
+
+// El bucket del chat es privado: los adjuntos guardan la ruta del objeto y al entregar el mensaje a
+// un participante autorizado se agrega una URL firmada de vida corta.
+const CHAT_MEDIA_URL_TTL_SECONDS = Number(process.env.CHAT_MEDIA_URL_TTL_SECONDS) || 15 * 60;
+
+export const MAX_MESSAGE_TEXT_LENGTH = 4000;
+
+// Rutas de Storage referenciadas por un mensaje (incluye filas antiguas "__img__:<url>" sin columna type)
+export const chatMediaPaths = (row) => messageMediaPaths(row, { bucket: CHAT_MEDIA_BUCKET });
+
+// Mensaje borrado para todos: los participantes ven solo el tombstone (sin contenido ni adjuntos)
+const toTombstone = (m) => ({
+  ...m,
+  text: '',
+  caption: null,
+  attachments: [],
+  metadata: {},
+});
+
+// Forma estructurada para REST y socket: { type, text, caption, attachments[{..., url, expiresAt}], metadata,
+// edited, editedAt, deleted, deletedAt }.
+// Solo debe llamarse después de ensureChatAccess / authorizeRoom para el destinatario.
+// Si no se puede firmar, url queda null (nunca se expone la ruta como URL pública).
+// moderator=true (admins) conserva el contenido de los mensajes borrados.
+export const serializeChatMessages = async (messages, { moderator = false } = {}) => {
+  const list = (Array.isArray(messages) ? messages : [])
+    .filter(Boolean)
+    .map((m) => normalizeMessage(m, { bucket: CHAT_MEDIA_BUCKET }))
+    .map((m) => ({
+      ...m,
+      edited: Boolean(m.edited_at),
+      editedAt: m.edited_at || null,
+      deleted: Boolean(m.deleted_at),
+      deletedAt: m.deleted_at || null,
+    }))
+    .map((m) => (m.deleted && !moderator ? toTombstone(m) : m));
+  const paths = Array.from(new Set(list.flatMap((m) => m.attachments.map((a) => a?.path).filter(Boolean))));
+
+  const signedByPath = new Map();
+  if (paths.length > 0) {
+    try {
+      const { data, error } = await supabase.storage
+        .from(CHAT_MEDIA_BUCKET)
+        .createSignedUrls(paths, CHAT_MEDIA_URL_TTL_SECONDS);
+      if (error) throw error;
+      for (const item of data || []) {
+        if (item?.path && item?.signedUrl && !item.error) signedByPath.set(item.path, item.signedUrl);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('Supabase createSignedUrls error', e);
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + CHAT_MEDIA_URL_TTL_SECONDS * 1000).toISOString();
+  return list.map((m) => ({
+    ...m,
+    attachments: m.attachments.map((a) => {
+      if (!a?.path) return { ...a, url: a?.url || null, expiresAt: null };
+      const url = signedByPath.get(a.path) || null;
+      return { ...a, url, expiresAt: url ? expiresAt : null };
+    }),
+  }));
+};
+
+export const serializeChatMessage = async (message, options = {}) => {
+  if (!message) return message;
+  const [serialized] = await serializeChatMessages([message], options);
+  return serialized;
+};
 
 export const makeConversationId = (businessId, customerId) => {
   if (!businessId || !customerId) return null;
@@ -87,41 +164,98 @@ export const resolveConversationMeta = async (chatId) => {
   }
 };
 
-export const getMessages = async (chatId, viewerId = null) => {
-  if (!chatId) return [];
-
+// Verifica que userId sea participante (cliente o dueño del negocio) o admin.
+// Devuelve meta si tiene acceso; si no, lanza error con statusCode 403 (404 si no se pueden derivar participantes).
+export const ensureChatAccess = async (userId, chatId) => {
   const meta = await resolveConversationMeta(chatId);
-  const convoId = meta.conversationId;
-  if (!convoId) return [];
+  const businessId = meta.businessId;
+  const customerId = meta.customerId;
 
-  let query = supabase.from('messages').select('*').order('created_at', { ascending: true });
-  // Compat: mostrar mensajes antiguos guardados por orderId (si difiere del conversationId)
-  if (meta.orderId && meta.orderId !== convoId) {
-    query = query.or(`order_id.eq.${meta.orderId},order_id.eq.${convoId}`);
-  } else {
-    query = query.eq('order_id', convoId);
-  }
+  if (!userId) throw httpError(401, 'No user');
 
-  const { data, error } = await query;
+  // Sin participantes (id inexistente o que no es conversación/pedido) no hay a quién autorizar
+  if (!businessId || !customerId) throw httpError(404, 'Conversación no encontrada', 'chat_not_found');
+
+  if (String(userId) === String(customerId)) return meta;
+
+  // Dueño del negocio
+  if (meta.businessOwnerUserId && String(meta.businessOwnerUserId) === String(userId)) return meta;
+
+  // Admin (moderación: ve también el contenido de los mensajes borrados)
+  const { data: profile } = await supabase.from('profiles').select('role').eq('id', userId).single();
+  if (profile?.role === 'admin') return { ...meta, isAdmin: true };
+
+  throw httpError(403, 'Forbidden');
+};
+
+export const DEFAULT_MESSAGES_PAGE_SIZE = 50;
+export const MAX_MESSAGES_PAGE_SIZE = 200;
+
+// Cursor opaco (base64url de "<created_at>|<id>") que apunta a un mensaje del historial
+export const encodeMessageCursor = (message) => (message?.created_at && message?.id !== undefined
+  ? Buffer.from(`${message.created_at}|${message.id}`, 'utf8').toString('base64url')
+  : null);
+
+export const decodeMessageCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  const raw = Buffer.from(cursor, 'base64url').toString('utf8');
+  const sep = raw.indexOf('|');
+  if (sep <= 0) return null;
+  const at = raw.slice(0, sep);
+  const id = raw.slice(sep + 1);
+  if (!id || Number.isNaN(new Date(at).getTime())) return null;
+  return { at, id };
+};
+
+// Página del historial en orden cronológico (RPC get_chat_messages: keyset + filtro de bloqueos en SQL).
+// Sin cursores: los últimos `limit`. before: mensajes anteriores a ese cursor. after: posteriores.
+// hasMore indica si quedan más en la misma dirección. Lanza 400 si el cursor es inválido.
+export const getMessages = async (chatId, viewerId = null, { before = null, after = null, limit = DEFAULT_MESSAGES_PAGE_SIZE } = {}) => {
+  const empty = { messages: [], hasMore: false, cursors: { before: null, after: null } };
+  if (!chatId) return empty;
+
+  const beforeCursor = before ? decodeMessageCursor(before) : null;
+  const afterCursor = after ? decodeMessageCursor(after) : null;
+  if ((before && !beforeCursor) || (after && !afterCursor)) throw httpError(400, 'Cursor inválido', 'invalid_cursor');
+  if (beforeCursor && afterCursor) throw httpError(400, 'Usa before o after, no ambos', 'invalid_cursor');
+
+  const meta = await resolveConversationMeta(chatId);
+  const convoId = meta.conversationId;
+  if (!convoId) return empty;
+
+  // Compat: incluir mensajes antiguos guardados por orderId (si difiere del conversationId)
+  const threadIds = meta.orderId && meta.orderId !== convoId ? [String(meta.orderId), convoId] : [convoId];
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_MESSAGES_PAGE_SIZE, 1), MAX_MESSAGES_PAGE_SIZE);
+
+  const { data, error } = await supabase.rpc('get_chat_messages', {
+    p_thread_ids: threadIds,
+    p_viewer_id: viewerId ? String(viewerId) : null,
+    p_before_at: beforeCursor?.at || null,
+    p_before_id: beforeCursor?.id || null,
+    p_after_at: afterCursor?.at || null,
+    p_after_id: afterCursor?.id || null,
+    p_limit: pageSize + 1,
+  });
   if (error) {
     // eslint-disable-next-line no-console
     console.error('Supabase getMessages error', error);
-    return [];
+    return empty;
   }
-  const list = data || [];
-  if (!viewerId) return list;
 
-  // Filtrar mensajes de usuarios bloqueados por el viewer
-  try {
-    const { data: blocks } = await supabase
-      .from('user_blocks')
-      .select('blocked_id')
-      .eq('blocker_id', viewerId);
-    const blockedIds = Array.isArray(blocks) ? blocks.map((b) => b.blocked_id) : [];
-    return list.filter((m) => !blockedIds.includes(m.sender_id));
-  } catch (e) {
-    return list;
-  }
+  const rows = Array.isArray(data) ? data : [];
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  // Con after la RPC ya devuelve ascendente; sin after viene del más nuevo al más viejo
+  const messages = afterCursor ? page : page.reverse();
+
+  return {
+    messages,
+    hasMore,
+    cursors: {
+      before: messages.length > 0 ? encodeMessageCursor(messages[0]) : null,
+      after: messages.length > 0 ? encodeMessageCursor(messages[messages.length - 1]) : null,
+    },
+  };
 };
 
 export const getLastMessage = async (chatId, viewerId = null) => {
@@ -166,15 +300,38 @@ export const getLastMessage = async (chatId, viewerId = null) => {
   }
 
   const list = Array.isArray(data) ? data : [];
-  if (!viewerId || blockedIds.length === 0) return list[0] || null;
+  if (!viewerId) return list[0] || null;
 
-  // Tomar el último mensaje no bloqueado (best-effort dentro del límite)
-  const visible = list.find((m) => !blockedIds.includes(String(m?.sender_id || '')));
+  // Mensajes que el viewer borró para sí (best-effort)
+  let hiddenIds = [];
+  if (list.length > 0) {
+    try {
+      const { data: hidden } = await supabase
+        .from('chat_message_hidden')
+        .select('message_id')
+        .eq('user_id', viewerId)
+        .in('message_id', list.map((m) => String(m.id)));
+      hiddenIds = Array.isArray(hidden) ? hidden.map((h) => String(h.message_id)) : [];
+    } catch {
+      hiddenIds = [];
+    }
+  }
+  if (blockedIds.length === 0 && hiddenIds.length === 0) return list[0] || null;
+
+  // Tomar el último mensaje visible (best-effort dentro del límite)
+  const visible = list.find((m) => !blockedIds.includes(String(m?.sender_id || ''))
+    && !hiddenIds.includes(String(m?.id)));
   return visible || null;
 };
 
+// message: { text, senderId, senderName, type?, caption?, attachments?, metadata? }
 export const addMessage = async (chatId, message) => {
-  if (!chatId || !message || !message.text) return null;
+  if (!chatId || !message) return null;
+  const type = message.type || 'text';
+  if (!MESSAGE_TYPES.includes(type)) return null;
+  const text = String(message.text || '').slice(0, MAX_MESSAGE_TEXT_LENGTH);
+  // Solo los mensajes de texto requieren cuerpo; el resto se identifica por adjuntos/metadata
+  if (type === 'text' && !text.trim()) return null;
 
   const meta = await resolveConversationMeta(chatId);
   const convoId = meta.conversationId || chatId;
@@ -185,7 +342,11 @@ export const addMessage = async (chatId, message) => {
     order_id: convoId,
     sender_id: message.senderId || null,
     sender_name: message.senderName || 'Anon',
-    text: message.text,
+    type,
+    text,
+    caption: message.caption || null,
+    attachments: Array.isArray(message.attachments) ? message.attachments : [],
+    metadata: message.metadata && typeof message.metadata === 'object' ? message.metadata : {},
   };
   const { data, error } = await supabase.from('messages').insert(payload).select().single();
   if (error) {
@@ -197,72 +358,138 @@ export const addMessage = async (chatId, message) => {
 };
 
 export const addImageMessage = async (chatId, message) => {
+  // Archivo multipart (message.file de multer) o data URL en el JSON / socket
+  const file = message?.file?.buffer ? message.file : null;
   const dataUrl = message?.dataUrl || message?.imageDataUrl || null;
-  if (!chatId || !dataUrl) return null;
+  if (!chatId || (!file && !dataUrl)) return null;
 
-  const parsed = parseDataUrl(String(dataUrl));
-  if (!parsed?.buffer || !parsed?.mimeType) {
-    const err = new Error('Invalid image');
-    err.status = 400;
-    throw err;
-  }
-
-  if (!String(parsed.mimeType).startsWith('image/')) {
-    const err = new Error('Not an image');
-    err.status = 400;
-    throw err;
-  }
-
-  // Límite razonable (best-effort) para evitar payloads gigantes
-  const maxBytes = 3 * 1024 * 1024;
-  if (parsed.buffer.length > maxBytes) {
-    const err = new Error('Image too large');
-    err.status = 413;
-    throw err;
-  }
+  const parsed = file ? { buffer: file.buffer, mimeType: file.mimetype } : parseDataUrl(String(dataUrl));
+  if (!parsed?.buffer || !parsed?.mimeType) throw httpError(400, 'Invalid image');
 
   const meta = await resolveConversationMeta(chatId);
   const convoId = meta.conversationId || chatId;
 
-  const bucket = process.env.SUPABASE_CHAT_MEDIA_BUCKET || process.env.CHAT_MEDIA_BUCKET || 'chat-media';
-  const ext = guessFileExtFromMime(parsed.mimeType);
-
+  const bucket = CHAT_MEDIA_BUCKET;
   const safeConvo = String(convoId).replace(/[^a-zA-Z0-9_-]/g, '_');
-  const fileName = `${Date.now()}_${randomUUID()}.${ext}`;
-  const objectPath = `chat/${safeConvo}/${fileName}`;
-
-  const { error: upErr } = await supabase
-    .storage
-    .from(bucket)
-    .upload(objectPath, parsed.buffer, {
-      contentType: parsed.mimeType,
-      upsert: false,
-    });
 
-  if (upErr) {
+  // Validación (magic bytes, tamaño), limpieza de EXIF/GPS y WebP en varios tamaños
+  let uploaded;
+  try {
+    uploaded = await uploadImage({
+      bucket,
+      folder: `chat/${safeConvo}`,
+      buffer: parsed.buffer,
+      mimeType: parsed.mimeType,
+      maxBytes: CHAT_IMAGE_MAX_BYTES,
+      isPrivate: true,
+    });
+  } catch (uploadErr) {
+    if (uploadErr?.statusCode) throw uploadErr;
     // eslint-disable-next-line no-console
-    console.error('Supabase storage upload error', upErr);
-    const err = new Error('Upload failed');
-    err.status = 500;
-    throw err;
+    console.error('Supabase storage upload error', uploadErr);
+    throw httpError(500, 'Upload failed');
   }
 
-  const { data: pub } = supabase.storage.from(bucket).getPublicUrl(objectPath);
-  const publicUrl = pub?.publicUrl || null;
-  if (!publicUrl) {
-    const err = new Error('No public url');
-    err.status = 500;
-    throw err;
-  }
-
-  const caption = String(message?.caption || '').trim();
-  const text = `__img__:${publicUrl}${caption ? `\n${caption}` : ''}`;
+  const caption = String(message?.caption || '').trim().slice(0, MAX_MESSAGE_TEXT_LENGTH) || null;
 
   return addMessage(convoId, {
-    text,
+    type: 'image',
+    text: caption || '',
+    caption,
+    attachments: [{
+      kind: 'image',
+      path: uploaded.path,
+      mimeType: 'image/webp',
+      width: uploaded.width,
+      height: uploaded.height,
+      sizes: uploaded.sizes,
+    }],
+    senderId: message?.senderId || null,
+    senderName: message?.senderName || 'Anon',
+  });
+};
+
+// Tarjeta de producto: se guarda una foto del producto al momento de enviarla (nombre, precio, imagen)
+// para que el mensaje siga teniendo sentido si el producto cambia o se borra.
+export const addProductMessage = async (chatId, message) => {
+  const productId = String(message?.productId || '').trim();
+  if (!chatId || !productId) return null;
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('id, name, price, image_url, business_id')
+    .eq('id', productId)
+    .maybeSingle();
+  if (error || !product) throw httpError(404, 'Producto no encontrado', 'product_not_found');
+
+  return addMessage(chatId, {
+    type: 'product',
+    text: String(message?.text || '').trim(),
+    metadata: {
+      productId: product.id,
+      businessId: product.business_id,
+      name: product.name,
+      price: Number(product.price) || 0,
+      imageUrl: product.image_url || null,
+    },
     senderId: message?.senderId || null,
     senderName: message?.senderName || 'Anon',
   });
 };
 
-export default { getMessages, addMessage, addImageMessage };
+// Referencia a un pedido: solo pedidos entre el cliente y el negocio de esta conversación
+export const addOrderMessage = async (chatId, message) => {
+  const orderKey = String(message?.orderId || '').trim();
+  if (!chatId || !orderKey) return null;
+
+  const meta = await resolveConversationMeta(chatId);
+  const { data: order, error } = await whereOrderKey(
+    supabase.from('orders').select('id, order_number, status, total, business_id, customer_id'),
+    orderKey,
+  ).maybeSingle();
+  if (error || !order) throw httpError(404, 'Pedido no encontrado', 'order_not_found');
+  if (String(order.business_id) !== String(meta.businessId) || String(order.customer_id) !== String(meta.customerId)) {
+    throw httpError(400, 'El pedido no pertenece a esta conversación', 'order_not_in_conversation');
+  }
+
+  return addMessage(chatId, {
+    type: 'order',
+    text: String(message?.text || '').trim(),
+    metadata: {
+      orderId: order.id,
+      orderNumber: orderLabel(order),
+      status: order.status,
+      total: Number(order.total) || 0,
+    },
+    senderId: message?.senderId || null,
+    senderName: message?.senderName || 'Anon',
+  });
+};
+
+// Mensajes que envía un usuario por REST o socket. Las imágenes van por addImageMessage y los de
+// sistema solo los crea el backend.
+export const addUserMessage = async (chatId, payload) => {
+  const type = payload?.type || 'text';
+  const base = { text: payload?.text, senderId: payload?.senderId || null, senderName: payload?.senderName };
+  switch (type) {
+    case 'text':
+      return addMessage(chatId, base);
+    case 'product':
+      return addProductMessage(chatId, { ...base, productId: payload?.productId });
+    case 'order':
+      return addOrderMessage(chatId, { ...base, orderId: payload?.orderId });
+    default:
+      throw httpError(400, 'Tipo de mensaje no soportado', 'unsupported_message_type');
+  }
+};
+
+export default {
+  getMessages,
+  addMessage,
+  addImageMessage,
+  addProductMessage,
+  addOrderMessage,
+  addUserMessage,
+  serializeChatMessages,
+  serializeChatMessage,
+};
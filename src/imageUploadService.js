@@ -0,0 +1,185 @@
+import { randomUUID } from 'crypto';
+import sharp from 'sharp';
+import { supabase } from './config/supabase.js';
+import { parseDataUrl } from './utils/dataUrl.js';
+import { httpError } from './utils/httpError.js';
+
+// Servicio único de subida de imágenes (logos, banners, productos, variantes, reseñas, chat):
+// 1. valida tamaño y que los bytes sean realmente JPEG/PNG/WebP/GIF (magic bytes, no el MIME declarado)
+// 2. corrige la orientación y descarta EXIF/GPS (sharp no copia metadatos salvo que se pida)
+// 3. guarda WebP en tres tamaños: <folder>/<id>/{thumb,card,full}.webp
+// La URL que se persiste es la de "full"; toImageSet() deriva el resto a partir de ella.
+
+export const MAX_IMAGE_BYTES = Number(process.env.IMAGE_UPLOAD_MAX_BYTES) || 8 * 1024 * 1024;
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const WEBP_QUALITY = 80;
+
+// Lado mayor máximo de cada tamaño (no se agranda si la original es más chica)
+export const IMAGE_SIZES = {
+  thumb: 160,
+  card: 480,
+  full: 1600,
+};
+
+sharp.cache(false);
+
+// Tipo real según la firma del archivo (o null si no es una imagen soportada)
+export function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+  const gif = buffer.subarray(0, 6).toString('ascii');
+  if (gif === 'GIF87a' || gif === 'GIF89a') return 'image/gif';
+  return null;
+}
+
+const normalizeMime = (mime) => {
+  const m = String(mime || '').toLowerCase().trim();
+  return m === 'image/jpg' || m === 'image/pjpeg' ? 'image/jpeg' : m;
+};
+
+// Valida y genera los WebP. Devuelve { width, height, outputs: { thumb, card, full } } (Buffers).
+export async function processImage(buffer, { declaredMimeType = null, maxBytes = MAX_IMAGE_BYTES } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw httpError(400, 'Imagen vacía o inválida', 'invalid_image');
+  if (buffer.length > maxBytes) {
+    throw httpError(413, `La imagen supera el máximo de ${Math.round(maxBytes / (1024 * 1024))} MB`, 'image_too_large');
+  }
+
+  const detected = detectImageType(buffer);
+  if (!detected) throw httpError(415, 'Formato no soportado (usa JPG, PNG, WebP o GIF)', 'unsupported_image_type');
+
+  const declared = normalizeMime(declaredMimeType);
+  if (declared && declared !== 'application/octet-stream' && declared !== detected) {
+    throw httpError(415, 'El contenido del archivo no coincide con su tipo declarado', 'image_type_mismatch');
+  }
+
+  let base;
+  let metadata;
+  try {
+    // rotate() sin argumentos aplica la orientación EXIF antes de descartarla
+    base = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+    metadata = await base.metadata();
+  } catch {
+    throw httpError(400, 'No se pudo leer la imagen', 'invalid_image');
+  }
+
+  const outputs = {};
+  let full = null;
+  for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+    const { data, info } = await base
+      .clone()
+      .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    outputs[size] = data;
+    if (size === 'full') full = info;
+  }
+
+  return {
+    width: full?.width || metadata?.width || null,
+    height: full?.height || metadata?.height || null,
+    outputs,
+  };
+}
+
+// Procesa y sube. Devuelve el set responsive: { url, path, width, height, sizes: { thumb, card, full } }.
+// Con isPrivate (buckets privados, p.ej. chat) no hay URL pública: sizes y path son rutas dentro del
+// bucket y el caller genera URLs firmadas al leer.
+export async function uploadImage({ bucket, folder, buffer, mimeType = null, maxBytes, isPrivate = false }) {
+  const processed = await processImage(buffer, { declaredMimeType: mimeType, maxBytes });
+  const baseKey = `${folder}/${Date.now()}_${randomUUID()}`;
+
+  const sizes = {};
+  for (const [size, data] of Object.entries(processed.outputs)) {
+    const filePath = `${baseKey}/${size}.webp`;
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(filePath, data, { contentType: 'image/webp', cacheControl: '31536000', upsert: false });
+    if (error) throw error;
+    sizes[size] = isPrivate ? filePath : supabase.storage.from(bucket).getPublicUrl(filePath).data.publicUrl;
+  }
+
+  return {
+    url: isPrivate ? null : sizes.full,
+    path: `${baseKey}/full.webp`,
+    width: processed.width,
+    height: processed.height,
+    sizes,
+  };
+}
+
+// Compatibilidad con el helper anterior: recibe un data URL y devuelve la URL pública (tamaño "full").
+// Devuelve null si el string no es un data URL.
+export async function uploadDataUrlToStorage({ bucket, folder, dataUrl, maxBytes }) {
+  const parsed = parseDataUrl(dataUrl);
+  if (!parsed) return null;
+  const uploaded = await uploadImage({ bucket, folder, buffer: parsed.buffer, mimeType: parsed.mimeType, maxBytes });
+  return uploaded.url;
+}
+
+// Archivos recibidos por multipart (multer memoryStorage): sube cada uno y devuelve las URLs "full"
+export async function uploadImageFiles({ bucket, folder, files, maxBytes }) {
+  const urls = [];
+  for (const file of Array.isArray(files) ? files : []) {
+    const uploaded = await uploadImage({ bucket, folder, buffer: file.buffer, mimeType: file.mimetype, maxBytes });
+    urls.push(uploaded.url);
+  }
+  return urls;
+}
+
+const STORAGE_URL_RE = /\/storage\/v1\/object\/(?:public|sign|authenticated)\/([^/]+)\/([^?#]+)/u;
+
+// Ruta del objeto dentro del bucket a partir de una URL de Storage (null si es de otro bucket o externa)
+export function storagePathFromUrl(url, bucket) {
+  if (!url || typeof url !== 'string') return null;
+  const match = url.match(STORAGE_URL_RE);
+  if (!match || decodeURIComponent(match[1]) !== bucket) return null;
+  return decodeURIComponent(match[2]);
+}
+
+const SIZED_URL_RE = /\/(thumb|card|full)\.webp(\?.*)?$/u;
+
+// Set responsive a partir de la URL guardada. Imágenes antiguas (o externas) repiten la misma URL.
+export function toImageSet(url) {
+  if (!url || typeof url !== 'string') return null;
+  if (!SIZED_URL_RE.test(url)) return { url, sizes: { thumb: url, card: url, full: url } };
+  const sizes = {};
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    sizes[size] = url.replace(SIZED_URL_RE, `/${size}.webp$2`);
+  }
+  return { url: sizes.full, sizes };
+}
+
+// Agregan las variantes responsive a las filas que se devuelven al frontend (sin tocar la BD)
+export function withProductImageSets(product) {
+  if (!product || typeof product !== 'object') return product;
+  return {
+    ...product,
+    image_set: toImageSet(product.image_url),
+    image_sets: Array.isArray(product.images) ? product.images.map(toImageSet).filter(Boolean) : [],
+  };
+}
+
+export function withBusinessImageSets(business) {
+  if (!business || typeof business !== 'object') return business;
+  return {
+    ...business,
+    logo_set: toImageSet(business.logo_url),
+    banner_set: toImageSet(business.banner_url),
+  };
+}
+
+export default {
+  MAX_IMAGE_BYTES,
+  IMAGE_SIZES,
+  detectImageType,
+  processImage,
+  uploadImage,
+  uploadDataUrlToStorage,
+  uploadImageFiles,
+  storagePathFromUrl,
+  toImageSet,
+  withProductImageSets,
+  withBusinessImageSets,
+};
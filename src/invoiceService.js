@@ -0,0 +1,126 @@
+import { supabase } from './config/supabase.js';
+import { renderInvoicePdf } from './utils/invoicePdf.js';
+import { sendEmail } from './utils/sendEmail.js';
+import { notificationTemplate } from './utils/emailTemplates.js';
+
+export const formatInvoiceNumber = (n) => String(Number(n) || 0).padStart(6, '0');
+
+// Numeración correlativa por negocio (RPC assign_invoice_number): bloquea la orden, y si aún no
+// tiene número toma el siguiente del contador del negocio. Idempotente y sin huecos.
+export const ensureInvoiceNumber = async (orderId) => {
+  const { data, error } = await supabase.rpc('assign_invoice_number', { p_order_id: orderId });
+  if (error) throw error;
+  return Number(data) || null;
+};
+
+// Reúne todo lo que va en la factura: negocio, cliente, items con nombre de producto, totales y pago.
+export const getInvoiceData = async (orderId) => {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('*, order_items(*)')
+    .eq('id', orderId)
+    .single();
+  if (error || !order) return null;
+
+  const invoiceNumber = order.invoice_number || await ensureInvoiceNumber(orderId);
+
+  const items = Array.isArray(order.order_items) ? order.order_items : [];
+  const productIds = Array.from(new Set(items.map((it) => it.product_id).filter(Boolean)));
+
+  const [{ data: products }, { data: business }, { data: customerProfile }] = await Promise.all([
+    productIds.length > 0
+      ? supabase.from('products').select('id, name').in('id', productIds)
+      : Promise.resolve({ data: [] }),
+    supabase
+      .from('businesses')
+      .select('id, name, email, phone, instagram, owner_id')
+      .eq('id', order.business_id)
+      .maybeSingle(),
+    supabase
+      .from('profiles')
+      .select('name, email, phone')
+      .eq('id', order.customer_id)
+      .maybeSingle(),
+  ]);
+
+  let businessAddress = null;
+  if (business?.owner_id) {
+    const { data: addr } = await supabase
+      .from('delivery_addresses')
+      .select('address, city')
+      .eq('user_id', business.owner_id)
+      .eq('is_default', true)
+      .limit(1)
+      .maybeSingle();
+    if (addr?.address) businessAddress = [addr.address, addr.city].filter(Boolean).join(', ');
+  }
+
+  const nameById = new Map((products || []).map((p) => [String(p.id), p.name]));
+  const contact = order.contact && typeof order.contact === 'object' ? order.contact : {};
+
+  return {
+    order,
+    invoiceNumber: formatInvoiceNumber(invoiceNumber),
+    issuedAt: order.delivered_at || order.updated_at || order.created_at,
+    orderId: order.id,
+    orderNumber: order.order_number || null,
+    business: {
+      name: business?.name || null,
+      email: business?.email || null,
+      phone: business?.phone || null,
+      instagram: business?.instagram || null,
+      address: businessAddress,
+    },
+    customer: {
+      name: contact.name || customerProfile?.name || null,
+      email: contact.email || customerProfile?.email || null,
+      phone: contact.phone || customerProfile?.phone || null,
+    },
+    items: items.map((it) => {
+      const quantity = Number(it.quantity) || 0;
+      const unitPrice = Number(it.price) || 0;
+      const productName = nameById.get(String(it.product_id)) || 'Producto eliminado';
+      return {
+        name: it.variant_label ? `${productName} (${it.variant_label})` : productName,
+        quantity,
+        unitPrice,
+        subtotal: quantity * unitPrice,
+      };
+    }),
+    total: Number(order.total) || 0,
+    paymentMethod: order.payment_method || order.payment?.type || null,
+  };
+};
+
+export const buildInvoicePdf = async (orderId) => {
+  const invoice = await getInvoiceData(orderId);
+  if (!invoice) return null;
+  const pdf = await renderInvoicePdf(invoice);
+  return { invoice, pdf, filename: `factura-${invoice.invoiceNumber}.pdf` };
+};
+
+// Envía la factura en PDF al correo del cliente (best-effort; se llama al pasar a "delivered").
+export const sendInvoiceEmail = async (orderId) => {
+  try {
+    const built = await buildInvoicePdf(orderId);
+    const to = built?.invoice?.customer?.email;
+    if (!built || !to) return { ok: false, error: 'Sin datos de factura o correo del cliente' };
+
+    const businessName = built.invoice.business.name || 'UG Emprende';
+    const orderRef = built.invoice.orderNumber ? ` (pedido ${built.invoice.orderNumber})` : '';
+    const subject = `Tu factura N.º ${built.invoice.invoiceNumber}${orderRef} — ${businessName}`;
+    const message = `Gracias por tu compra en ${businessName}. Adjuntamos la factura de tu pedido entregado${orderRef}.`;
+
+    return await sendEmail({
+      to,
+      subject,
+      text: message,
+      html: notificationTemplate(subject, message),
+      attachments: [{ filename: built.filename, content: built.pdf, contentType: 'application/pdf' }],
+    });
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+};
+
+export default { formatInvoiceNumber, ensureInvoiceNumber, getInvoiceData, buildInvoicePdf, sendInvoiceEmail };
@@ -1,22 +1,27 @@
 import { supabase } from '../config/supabase.js';
 
-export async function requireAuth(req, res, next) {
-  try {
-    // Prefer Authorization header, fallback to cookies (ug_session or ug-token)
-    const header = req.headers.authorization || '';
-    let token = header.startsWith('Bearer ') ? header.slice(7) : null;
-
-    if (!token) {
-      const cookieHeader = req.headers.cookie || '';
-      const cookies = cookieHeader.split(';').map((c) => c.trim()).filter(Boolean);
-      const cookieObj = {};
-      for (const c of cookies) {
-        const [k, ...rest] = c.split('=');
-        cookieObj[k] = rest.join('=');
-      }
-      token = cookieObj['ug_session'] || cookieObj['ug-token'] || cookieObj['access_token'] || null;
+// Extrae el access token de Authorization (Bearer) o, como fallback, de las cookies (ug_session o ug-token)
+function extractToken(headers = {}) {
+  const header = headers.authorization || '';
+  let token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    const cookieHeader = headers.cookie || '';
+    const cookies = cookieHeader.split(';').map((c) => c.trim()).filter(Boolean);
+    const cookieObj = {};
+    for (const c of cookies) {
+      const [k, ...rest] = c.split('=');
+      cookieObj[k] = rest.join('=');
     }
+    token = cookieObj['ug_session'] || cookieObj['ug-token'] || cookieObj['access_token'] || null;
+  }
+
+  return token;
+}
 
+export async function requireAuth(req, res, next) {
+  try {
+    const token = extractToken(req.headers);
     if (!token) return res.status(401).json({ error: 'No autorizado' });
 
     const { data, error } = await supabase.auth.getUser(token);
@@ -30,6 +35,42 @@ export async function requireAuth(req, res, next) {
   }
 }
 
+// Middleware de Socket.IO: valida el JWT de Supabase igual que requireAuth.
+// La identidad del socket sale SOLO del token (nunca de handshake.query).
+// Cliente: io(url, { auth: { token } }) (también acepta Authorization/cookies del handshake).
+export async function requireSocketAuth(socket, next) {
+  try {
+    const authToken = typeof socket.handshake.auth?.token === 'string' ? socket.handshake.auth.token : null;
+    const token = authToken || extractToken(socket.handshake.headers);
+    if (!token) return next(new Error('No autorizado'));
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) return next(new Error('Token inválido'));
+
+    const user = data.user;
+
+    // Nombre visible (best-effort): perfil -> metadata -> parte local del email
+    let userName = null;
+    try {
+      const { data: profile } = await supabase
+        .from('profiles')
+        .select('name')
+        .eq('id', user.id)
+        .maybeSingle();
+      userName = profile?.name || null;
+    } catch {
+      userName = null;
+    }
+
+    socket.data = socket.data || {};
+    socket.data.userId = String(user.id);
+    socket.data.userName = userName || user.user_metadata?.name || (user.email || '').split('@')[0] || 'Usuario';
+    return next();
+  } catch (err) {
+    return next(err instanceof Error ? err : new Error('No autorizado'));
+  }
+}
+
 export function requireRole(allowedRoles) {
   return async (req, res, next) => {
     try {
@@ -0,0 +1,162 @@
+import { createHash } from 'crypto';
+import { supabase } from '../config/supabase.js';
+
+// Idempotency-Key para POST: la primera request con una clave se procesa y su respuesta queda
+// guardada (por usuario + endpoint). Reintentos con la misma clave y el mismo body reciben esa
+// respuesta sin repetir el trabajo; con otro body, 422. Debe ir después de requireAuth.
+
+const KEY_MAX_LENGTH = 255;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// Una clave "processing" más vieja que esto se considera abandonada (el proceso se cayó o el handler
+// nunca respondió) y el siguiente reintento la toma.
+const PROCESSING_TIMEOUT_MS = (Number(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+
+// JSON con claves ordenadas: { a, b } y { b, a } producen el mismo hash
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Los archivos multipart (req.files de multer) también cuentan: misma clave con otra imagen = 422.
+// Sin archivos el hash es el mismo que el de un body JSON.
+function hashRequest(req) {
+  const hash = createHash('sha256').update(stableStringify(req.body ?? {}));
+  const files = req.files && typeof req.files === 'object' ? req.files : {};
+  for (const field of Object.keys(files).sort()) {
+    for (const file of [files[field]].flat()) {
+      if (file?.buffer) hash.update(`\n${field}:`).update(file.buffer);
+    }
+  }
+  return hash.digest('hex');
+}
+
+// 5xx y 409 (conflictos transitorios, p.ej. falta de stock) no se guardan: la clave se libera para reintentar
+const isReplayableStatus = (status) => status < 500 && status !== 409;
+
+async function findKeyRow({ userId, scope, key }) {
+  const { data } = await supabase
+    .from('idempotency_keys')
+    .select('id, request_hash, status, response_status, response_body, created_at')
+    .eq('user_id', userId)
+    .eq('scope', scope)
+    .eq('key', key)
+    .maybeSingle();
+  return data || null;
+}
+
+async function insertKeyRow({ userId, scope, key, requestHash }) {
+  return supabase
+    .from('idempotency_keys')
+    .insert([{ user_id: userId, scope, key, request_hash: requestHash, status: 'processing' }])
+    .select('id')
+    .single();
+}
+
+export async function idempotency(req, res, next) {
+  try {
+    const key = String(req.get('Idempotency-Key') || '').trim();
+    if (!key || !req.user?.id) return next();
+
+    if (key.length > KEY_MAX_LENGTH) {
+      return res.status(400).json({ error: 'Idempotency-Key inválida', code: 'invalid_idempotency_key' });
+    }
+
+    const userId = req.user.id;
+    const scope = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/+$/u, '');
+    const requestHash = hashRequest(req);
+
+    let { data: row, error } = await insertKeyRow({ userId, scope, key, requestHash });
+
+    if (error?.code === '23505') {
+      const existing = await findKeyRow({ userId, scope, key });
+
+      // Claves vencidas se reutilizan como si fueran nuevas
+      if (existing && Date.now() - new Date(existing.created_at).getTime() > KEY_TTL_MS) {
+        await supabase.from('idempotency_keys').delete().eq('id', existing.id);
+        ({ data: row, error } = await insertKeyRow({ userId, scope, key, requestHash }));
+      } else if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            error: 'La Idempotency-Key ya se usó con un cuerpo de solicitud distinto',
+            code: 'idempotency_key_reused',
+          });
+        }
+        const abandoned = existing.status !== 'completed'
+          && Date.now() - new Date(existing.created_at).getTime() > PROCESSING_TIMEOUT_MS;
+        if (abandoned) {
+          // Borrado condicional: si dos reintentos llegan juntos solo uno toma la clave (el otro choca en el insert)
+          const { data: released } = await supabase
+            .from('idempotency_keys')
+            .delete()
+            .eq('id', existing.id)
+            .eq('status', 'processing')
+            .select('id');
+          if (Array.isArray(released) && released.length > 0) {
+            ({ data: row, error } = await insertKeyRow({ userId, scope, key, requestHash }));
+          }
+        }
+        if (!row && existing.status !== 'completed') {
+          return res.status(409).json({
+            error: 'Hay una solicitud con esta Idempotency-Key aún en proceso. Intenta nuevamente en unos segundos.',
+            code: 'idempotency_request_in_progress',
+          });
+        }
+        if (!row) {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.response_status || 200).json(existing.response_body ?? null);
+        }
+      }
+    }
+
+    if (error || !row) {
+      // Sin tabla/BD disponible no bloqueamos la operación (best-effort)
+      // eslint-disable-next-line no-console
+      if (error) console.warn('[idempotency] key not stored', error.message);
+      return next();
+    }
+
+    // Capturar la respuesta para guardarla cuando termine
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('close', () => {
+      // Si la conexión se cortó antes de responder, la respuesta no se guarda
+      const status = res.writableFinished ? res.statusCode : 500;
+      const query = isReplayableStatus(status)
+        ? supabase
+          .from('idempotency_keys')
+          .update({
+            status: 'completed',
+            response_status: status,
+            response_body: responseBody ?? null,
+            completed_at: new Date().toISOString(),
+          })
+          .eq('id', row.id)
+        : supabase.from('idempotency_keys').delete().eq('id', row.id);
+
+      Promise.resolve(query).catch(() => {
+        // best-effort
+      });
+    });
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// Limpieza periódica de claves vencidas (best-effort, se llama desde server.js)
+export async function purgeExpiredIdempotencyKeys() {
+  const cutoff = new Date(Date.now() - KEY_TTL_MS).toISOString();
+  const { error } = await supabase.from('idempotency_keys').delete().lt('created_at', cutoff);
+  return { ok: !error };
+}
+
+export default idempotency;
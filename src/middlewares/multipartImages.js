@@ -0,0 +1,99 @@
+import multer from 'multer';
+import { MAX_IMAGE_BYTES } from '../imageUploadService.js';
+
+// multipart/form-data como alternativa a los data URLs dentro del JSON. Solo actúa si el request
+// es multipart: con JSON pasa de largo y el endpoint sigue aceptando data URLs como antes.
+// Los archivos quedan en req.files[campo]; multer corta la lectura apenas un archivo supera el
+// límite, así que nunca se bufferea más de maxFileBytes por archivo.
+
+const MAX_TEXT_FIELDS = 40;
+const MAX_TEXT_FIELD_BYTES = 256 * 1024;
+
+// "payload" puede traer el body completo como JSON (útil para opciones/variantes). Los campos
+// sueltos quedan como string salvo los declarados por el endpoint: jsonFields ("[...]"/"{...}" -> JSON)
+// y booleanFields ("true"/"false" -> boolean). Así un nombre como "[Oferta] Camiseta" sigue siendo texto.
+function normalizeFields(fields, { jsonFields = [], booleanFields = [] } = {}) {
+  const source = fields && typeof fields === 'object' ? { ...fields } : {};
+  let body = {};
+
+  if (typeof source.payload === 'string') {
+    const parsed = JSON.parse(source.payload);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('payload inválido');
+    body = parsed;
+    delete source.payload;
+  }
+
+  for (const [key, raw] of Object.entries(source)) {
+    if (typeof raw !== 'string') {
+      body[key] = raw;
+      continue;
+    }
+    const value = raw.trim();
+    if (booleanFields.includes(key) && (value === 'true' || value === 'false')) body[key] = value === 'true';
+    else if (jsonFields.includes(key) && /^[[{]/u.test(value)) body[key] = JSON.parse(value);
+    else body[key] = raw;
+  }
+  return body;
+}
+
+function multerErrorResponse(err, maxFileBytes) {
+  switch (err?.code) {
+    case 'LIMIT_FILE_SIZE':
+      return {
+        status: 413,
+        body: { error: `La imagen supera el máximo de ${Math.round(maxFileBytes / (1024 * 1024))} MB`, code: 'image_too_large' },
+      };
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return { status: 400, body: { error: 'Demasiados archivos o campo de archivo no permitido', code: 'too_many_files' } };
+    case 'unsupported_image_type':
+      return { status: 415, body: { error: err.message, code: 'unsupported_image_type' } };
+    default:
+      return { status: 400, body: { error: err?.message || 'Archivo inválido', code: 'invalid_upload' } };
+  }
+}
+
+// fieldSpecs: [{ name: 'images', maxCount: 6 }, ...] (mismo formato que multer.fields)
+// jsonFields / booleanFields: campos de texto que se convierten (ver normalizeFields)
+export function multipartImages(fieldSpecs, { maxFileBytes = MAX_IMAGE_BYTES, jsonFields = [], booleanFields = [] } = {}) {
+  const maxFiles = fieldSpecs.reduce((acc, f) => acc + (Number(f.maxCount) || 1), 0);
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileBytes,
+      files: maxFiles,
+      fields: MAX_TEXT_FIELDS,
+      fieldSize: MAX_TEXT_FIELD_BYTES,
+      parts: maxFiles + MAX_TEXT_FIELDS,
+    },
+    // Filtro rápido por Content-Type declarado; la validación real (firma del archivo) la hace processImage
+    fileFilter(req, file, cb) {
+      if (/^image\//iu.test(file.mimetype || '')) return cb(null, true);
+      const err = new Error('Formato de imagen no soportado');
+      err.code = 'unsupported_image_type';
+      return cb(err);
+    },
+  }).fields(fieldSpecs);
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    return upload(req, res, (err) => {
+      if (err) {
+        const { status, body } = multerErrorResponse(err, maxFileBytes);
+        return res.status(status).json(body);
+      }
+      try {
+        req.body = normalizeFields(req.body, { jsonFields, booleanFields });
+      } catch {
+        return res.status(400).json({ error: 'Campos del formulario inválidos', code: 'invalid_payload' });
+      }
+      return next();
+    });
+  };
+}
+
+// Archivos subidos en un campo (vacío si el request no fue multipart)
+export const uploadedFiles = (req, field) => (Array.isArray(req.files?.[field]) ? req.files[field] : []);
+
+export default multipartImages;
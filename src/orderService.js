@@ -0,0 +1,346 @@
+import { supabase } from './config/supabase.js';
+import { createNotification } from './utils/createNotification.js';
+import { httpError } from './utils/httpError.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Minutos que un pedido puede quedar "pending" reteniendo stock antes de expirar
+const RESERVATION_TTL_MINUTES = Number(process.env.ORDER_RESERVATION_TTL_MINUTES) || 24 * 60;
+
+export const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
+
+// Grafo de estados: from -> { to: roles que pueden hacer esa transición }.
+// Flujo normal: pending -> confirmed -> preparing -> ready -> delivered.
+// Cancelar: hasta "ready" lo puede hacer el negocio; el cliente solo mientras no se prepara.
+// "delivered" solo se revierte (devolución) por un admin; "cancelled" es terminal.
+export const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: ['entrepreneur', 'admin'],
+    cancelled: ['customer', 'entrepreneur', 'admin'],
+  },
+  confirmed: {
+    preparing: ['entrepreneur', 'admin'],
+    cancelled: ['customer', 'entrepreneur', 'admin'],
+  },
+  preparing: {
+    ready: ['entrepreneur', 'admin'],
+    cancelled: ['entrepreneur', 'admin'],
+  },
+  ready: {
+    delivered: ['entrepreneur', 'admin'],
+    cancelled: ['entrepreneur', 'admin'],
+  },
+  delivered: {
+    cancelled: ['admin'],
+  },
+  cancelled: {},
+};
+
+export const getAllowedTransitions = (fromStatus, role) => {
+  const edges = ORDER_TRANSITIONS[String(fromStatus || '').toLowerCase()] || {};
+  return Object.keys(edges).filter((to) => edges[to].includes(role));
+};
+
+export const canTransition = (fromStatus, toStatus, role) => getAllowedTransitions(fromStatus, role)
+  .includes(String(toStatus || '').toLowerCase());
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/iu;
+
+// Número legible del pedido (p.ej. CAFE-00042, asignado por trigger en la BD).
+// Órdenes sin número (no debería pasar tras el backfill) caen a un fragmento del UUID.
+export const orderLabel = (order) => order?.order_number || (order?.id ? `#${String(order.id).slice(0, 8)}` : '');
+
+// Filtra un query de orders por UUID o por número de pedido (:id acepta ambos).
+export const whereOrderKey = (query, key) => {
+  const value = String(key || '').trim();
+  return UUID_RE.test(value) ? query.eq('id', value) : query.eq('order_number', value.toUpperCase());
+};
+
+// Agrupa [{ productId|product_id, variantId|variant_id, quantity }] por producto y variante
+// -> [{ product_id, variant_id, quantity }] (formato de las RPC de stock; variant_id null = stock del producto)
+export const toStockItems = (items) => {
+  const byLine = new Map();
+  for (const it of Array.isArray(items) ? items : []) {
+    const pid = String(it?.productId || it?.product_id || '');
+    const vid = it?.variantId || it?.variant_id ? String(it.variantId || it.variant_id) : null;
+    const qty = Number(it?.quantity) || 0;
+    if (!pid || qty <= 0) continue;
+    const key = `${pid}:${vid || ''}`;
+    const line = byLine.get(key) || { product_id: pid, variant_id: vid, quantity: 0 };
+    line.quantity += qty;
+    byLine.set(key, line);
+  }
+  return Array.from(byLine.values());
+};
+
+// Reserva stock de forma atómica (RPC reserve_stock: bloquea las filas de products/product_variants
+// y valida stock - reserved_stock). Si falta stock no reserva nada y devuelve los faltantes.
+export const reserveStock = async (items) => {
+  const stockItems = toStockItems(items);
+  if (stockItems.length === 0) return { ok: true, shortages: [] };
+
+  const { data, error } = await supabase.rpc('reserve_stock', { p_items: stockItems });
+  if (error) throw error;
+
+  const shortages = Array.isArray(data) ? data : [];
+  return { ok: shortages.length === 0, shortages };
+};
+
+// Movimientos sobre reservas/stock (RPC apply_stock_movement, atómica):
+// - release: libera la reserva (cancelación o expiración)
+// - commit: la reserva se convierte en descuento real (entrega)
+// - deduct: descuento directo (órdenes antiguas sin reserva)
+// - restock: devuelve unidades al stock (se revierte una entrega)
+export const applyStockMovement = async (items, movement) => {
+  const stockItems = toStockItems(items);
+  if (!movement || stockItems.length === 0) return;
+  const { error } = await supabase.rpc('apply_stock_movement', { p_items: stockItems, p_movement: movement });
+  if (error) throw error;
+};
+
+// Qué movimiento de inventario implica una transición según el estado de reserva de la orden.
+// stock_state: 'reserved' | 'committed' | 'released' | null (órdenes previas a las reservas).
+export const stockMovementForTransition = (order, fromStatus, toStatus) => {
+  const from = String(fromStatus || '').toLowerCase();
+  const to = String(toStatus || '').toLowerCase();
+  const reserved = order?.stock_state === 'reserved';
+
+  if (from !== 'delivered' && to === 'delivered') {
+    return { movement: reserved ? 'commit' : 'deduct', nextStockState: 'committed' };
+  }
+  if (from === 'delivered' && to !== 'delivered') {
+    return { movement: 'restock', nextStockState: 'released' };
+  }
+  if (to === 'cancelled' && reserved) {
+    return { movement: 'release', nextStockState: 'released' };
+  }
+  return { movement: null, nextStockState: order?.stock_state ?? null };
+};
+
+const getOrderStockItems = async (orderId) => {
+  const { data, error } = await supabase
+    .from('order_items')
+    .select('product_id, variant_id, quantity')
+    .eq('order_id', orderId);
+  if (error) throw error;
+  return Array.isArray(data) ? data : [];
+};
+
+// Aplica una transición ya autorizada: update condicionado al estado leído (si otro request cambió
+// el estado entre medio, 409), movimiento de inventario, ventas del negocio e historial.
+// order debe traer id, business_id, status y stock_state.
+export const transitionOrderStatus = async ({ order, toStatus, actorId = null, actorRole, note = null, extraPatch = {} }) => {
+  const prevStatus = String(order?.status || '').toLowerCase();
+  const nextStatus = String(toStatus || '').toLowerCase();
+  const { movement, nextStockState } = stockMovementForTransition(order, prevStatus, nextStatus);
+
+  const patch = { ...extraPatch, status: nextStatus };
+  if (movement) patch.stock_state = nextStockState;
+  // Guardar fecha exacta de entrega/emisión de factura cuando pasa a "delivered".
+  if (nextStatus === 'delivered') patch.delivered_at = new Date().toISOString();
+
+  const updateStatus = (values, expectedStatus) => supabase
+    .from('orders')
+    .update(values)
+    .eq('id', order.id)
+    .eq('status', expectedStatus)
+    .select()
+    .maybeSingle();
+
+  let appliedPatch = patch;
+  let { data: updatedOrder, error } = await updateStatus(appliedPatch, prevStatus);
+
+  // Fallback si delivered_at no existe (o no se puede setear por permisos).
+  if (error && patch.delivered_at) {
+    appliedPatch = { ...patch };
+    delete appliedPatch.delivered_at;
+    ({ data: updatedOrder, error } = await updateStatus(appliedPatch, prevStatus));
+  }
+
+  if (error) throw httpError(400, error.message);
+  if (!updatedOrder) {
+    throw httpError(409, 'El pedido cambió de estado mientras se actualizaba. Intenta nuevamente.', 'status_conflict');
+  }
+
+  if (movement) {
+    try {
+      await applyStockMovement(await getOrderStockItems(order.id), movement);
+    } catch (stockErr) {
+      // Sin inventario ajustado no dejamos la orden en el nuevo estado: se revierte todo lo escrito
+      // (extraPatch y delivered_at incluidos) a lo que tenía antes, o null si no venía en la orden
+      const rollback = Object.fromEntries(Object.keys(appliedPatch).map((key) => [key, order?.[key] ?? null]));
+      rollback.status = prevStatus;
+      await updateStatus(rollback, nextStatus);
+      throw httpError(400, stockErr?.message || 'No se pudo ajustar el inventario');
+    }
+  }
+
+  // Ventas del negocio: +1 al entregar, -1 si se revierte una entrega (best-effort)
+  if (prevStatus !== 'delivered' && nextStatus === 'delivered') await adjustBusinessSales(order.business_id, 1);
+  if (prevStatus === 'delivered' && nextStatus !== 'delivered') await adjustBusinessSales(order.business_id, -1);
+
+  await recordOrderStatusEvent({
+    orderId: order.id,
+    fromStatus: prevStatus,
+    toStatus: nextStatus,
+    actorId,
+    actorRole,
+    note,
+  });
+
+  return updatedOrder;
+};
+
+// Cancela pedidos "pending" más antiguos que RESERVATION_TTL_MINUTES y libera su stock reservado.
+// Solo los que reservaron stock: los pedidos previos a las reservas (stock_state null) no expiran.
+// Pensado para correr periódicamente desde server.js.
+export const expireStalePendingOrders = async ({ limit = 50 } = {}) => {
+  const cutoff = new Date(Date.now() - RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+
+  const { data: stale, error } = await supabase
+    .from('orders')
+    .select('id, order_number, business_id, customer_id, status, stock_state')
+    .eq('status', 'pending')
+    .eq('stock_state', 'reserved')
+    .lt('created_at', cutoff)
+    .limit(limit);
+
+  if (error) return { expired: 0, error: error.message };
+
+  let expired = 0;
+  for (const order of stale || []) {
+    try {
+      await transitionOrderStatus({
+        order,
+        toStatus: 'cancelled',
+        actorRole: 'system',
+        note: 'Pedido expirado: el negocio no lo confirmó a tiempo',
+      });
+      expired += 1;
+    } catch {
+      // Otro proceso lo cambió primero o falló el ajuste; se reintenta en la próxima pasada
+      continue;
+    }
+
+    try {
+      if (order.customer_id) {
+        await createNotification({
+          userId: order.customer_id,
+          title: `Tu pedido ${orderLabel(order)} expiró`,
+          message: `El negocio no confirmó tu pedido ${orderLabel(order)} a tiempo y fue cancelado automáticamente.`,
+          meta: { kind: 'order', action: 'expired', orderId: order.id, orderNumber: order.order_number || null, status: 'cancelled', url: `${FRONTEND_URL}/profile?tab=orders`, ctaLabel: 'Ver pedido' },
+        });
+      }
+    } catch {
+      // best-effort
+    }
+  }
+
+  return { expired };
+};
+
+// Libera las reservas de órdenes que se van a borrar (p.ej. al eliminar una cuenta de cliente).
+export const releaseReservationsForOrders = async (orderIds) => {
+  const ids = Array.isArray(orderIds) ? orderIds.filter(Boolean) : [];
+  if (ids.length === 0) return;
+  try {
+    const { data: reserved } = await supabase
+      .from('orders')
+      .select('id, order_items(product_id, variant_id, quantity)')
+      .in('id', ids)
+      .eq('stock_state', 'reserved');
+
+    const items = (reserved || []).flatMap((o) => (Array.isArray(o.order_items) ? o.order_items : []));
+    await applyStockMovement(items, 'release');
+  } catch {
+    // best-effort
+  }
+};
+
+// Ventas del negocio: +1 al entregar, -1 si una entrega se revierte (best-effort)
+export const adjustBusinessSales = async (businessId, delta) => {
+  if (!businessId || !delta) return;
+  try {
+    const { data: biz } = await supabase
+      .from('businesses')
+      .select('id, total_sales')
+      .eq('id', businessId)
+      .single();
+
+    const currentSales = typeof biz?.total_sales === 'number' ? biz.total_sales : Number(biz?.total_sales) || 0;
+    await supabase
+      .from('businesses')
+      .update({ total_sales: Math.max(0, currentSales + delta) })
+      .eq('id', businessId);
+  } catch {
+    // silencioso
+  }
+};
+
+// Historial de estados (order_status_events). Best-effort: si falla, el cambio de estado no se revierte.
+export const recordOrderStatusEvent = async ({ orderId, fromStatus = null, toStatus, actorId = null, actorRole = null, note = null }) => {
+  if (!orderId || !toStatus) return null;
+  try {
+    const { data, error } = await supabase
+      .from('order_status_events')
+      .insert([{
+        order_id: orderId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        actor_id: actorId,
+        actor_role: actorRole,
+        note: note || null,
+        created_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+    if (error) {
+      // eslint-disable-next-line no-console
+      console.error('Supabase recordOrderStatusEvent error', error);
+      return null;
+    }
+    return data;
+  } catch {
+    return null;
+  }
+};
+
+export const getOrderTimeline = async (orderId) => {
+  const { data, error } = await supabase
+    .from('order_status_events')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
+
+// Select de órdenes con items y, opcionalmente, su historial (ordenado cronológicamente).
+export const selectOrdersQuery = ({ includeTimeline = false } = {}) => {
+  const query = supabase
+    .from('orders')
+    .select(includeTimeline ? '*, order_items(*), order_status_events(*)' : '*, order_items(*)');
+  return includeTimeline
+    ? query.order('created_at', { referencedTable: 'order_status_events', ascending: true })
+    : query;
+};
+
+export default {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  orderLabel,
+  whereOrderKey,
+  toStockItems,
+  reserveStock,
+  applyStockMovement,
+  stockMovementForTransition,
+  transitionOrderStatus,
+  expireStalePendingOrders,
+  releaseReservationsForOrders,
+  adjustBusinessSales,
+  recordOrderStatusEvent,
+  getOrderTimeline,
+  selectOrdersQuery,
+};
@@ -0,0 +1,314 @@
+import { supabase } from './config/supabase.js';
+import { parseCsvRecords, toCsv } from './utils/csv.js';
+import { getProductIdsWithVariants } from './productVariantService.js';
+
+// Importación/exportación del catálogo de un negocio en CSV.
+// Columnas (cabeceras en inglés o español, sin importar mayúsculas/tildes):
+// sku, name, description, price, category, stock, images (URLs separadas por "|"),
+// accepts_delivery, accepts_pickup, accepts_paypal, accepts_cash, featured
+
+export const MAX_IMPORT_ROWS = 1000;
+
+export const PRODUCT_CSV_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'category',
+  'stock',
+  'images',
+  'accepts_delivery',
+  'accepts_pickup',
+  'accepts_paypal',
+  'accepts_cash',
+  'featured',
+];
+
+const HEADER_ALIASES = {
+  sku: 'sku',
+  codigo: 'sku',
+  name: 'name',
+  nombre: 'name',
+  description: 'description',
+  descripcion: 'description',
+  price: 'price',
+  precio: 'price',
+  category: 'category',
+  categoria: 'category',
+  stock: 'stock',
+  images: 'images',
+  image_urls: 'images',
+  imagenes: 'images',
+  accepts_delivery: 'acceptsDelivery',
+  delivery: 'acceptsDelivery',
+  accepts_pickup: 'acceptsPickup',
+  pickup: 'acceptsPickup',
+  accepts_paypal: 'acceptsPaypal',
+  paypal: 'acceptsPaypal',
+  accepts_cash: 'acceptsCash',
+  cash: 'acceptsCash',
+  efectivo: 'acceptsCash',
+  featured: 'featured',
+  destacado: 'featured',
+};
+
+const BOOLEAN_FIELDS = ['acceptsDelivery', 'acceptsPickup', 'acceptsPaypal', 'acceptsCash', 'featured'];
+
+// Columnas de products que actualiza cada campo del CSV (modo upsert: solo las celdas no vacías)
+const COLUMN_BY_FIELD = {
+  name: 'name',
+  description: 'description',
+  price: 'price',
+  category: 'category',
+  stock: 'stock',
+  acceptsDelivery: 'accepts_delivery',
+  acceptsPickup: 'accepts_pickup',
+  acceptsPaypal: 'accepts_paypal',
+  acceptsCash: 'accepts_cash',
+  featured: 'featured',
+};
+
+const normalizeHeader = (h) => {
+  const key = String(h || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/gu, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/gu, '_');
+  return HEADER_ALIASES[key] || null;
+};
+
+// "sí", "true", "1", "x" -> true; "no", "false", "0" -> false; otro valor queda tal cual (zod lo rechaza)
+function parseBooleanCell(value) {
+  const v = String(value).normalize('NFD').replace(/[\u0300-\u036f]/gu, '').trim().toLowerCase();
+  if (['true', '1', 'si', 'yes', 'x'].includes(v)) return true;
+  if (['false', '0', 'no'].includes(v)) return false;
+  return value;
+}
+
+// Registro del CSV -> input con la forma de createProductSchema (omite celdas vacías para usar defaults)
+function recordToInput(record) {
+  const input = {};
+  for (const [field, raw] of Object.entries(record)) {
+    if (raw === '') continue;
+    if (field === 'images') {
+      input.images = raw.split('|').map((u) => u.trim()).filter(Boolean);
+    } else if (BOOLEAN_FIELDS.includes(field)) {
+      input[field] = parseBooleanCell(raw);
+    } else if (field === 'price') {
+      // Acepta coma decimal ("12,50")
+      input.price = raw.replace(/\s/gu, '').replace(',', '.');
+    } else {
+      input[field] = raw;
+    }
+  }
+  return input;
+}
+
+const formatIssues = (err) => (Array.isArray(err?.issues)
+  ? err.issues.map((i) => (i.path?.length ? `${i.path.join('.')}: ${i.message}` : i.message))
+  : [err?.message || 'Fila inválida']);
+
+const reservedStockError = (reserved) => `stock: no puede ser menor que lo reservado por pedidos pendientes (${Number(reserved) || 0})`;
+
+// Valida el CSV completo y arma el plan por fila, sin escribir nada.
+// schema: createProductSchema (zod). mode: 'create' (solo altas) | 'upsert' (actualiza por SKU).
+export const planProductImport = async ({ csv, businessId, schema, mode = 'create' }) => {
+  const { headers, records } = parseCsvRecords(csv, { normalizeHeader });
+
+  if (!headers.includes('name') || !headers.includes('price') || !headers.includes('category')) {
+    return { error: 'El CSV debe tener al menos las columnas name, price y category', code: 'invalid_csv_header' };
+  }
+  if (mode === 'upsert' && !headers.includes('sku')) {
+    return { error: 'El modo upsert requiere la columna sku', code: 'invalid_csv_header' };
+  }
+  if (records.length === 0) return { error: 'El CSV no tiene filas', code: 'empty_csv' };
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `Máximo ${MAX_IMPORT_ROWS} filas por importación`, code: 'too_many_rows' };
+  }
+
+  const skus = Array.from(new Set(records.map((r) => r.sku).filter(Boolean)));
+  let existingBySku = new Map();
+  let withVariants = new Set();
+  if (skus.length > 0) {
+    const { data: existing, error } = await supabase
+      .from('products')
+      .select('id, sku, reserved_stock')
+      .eq('business_id', businessId)
+      .in('sku', skus);
+    if (error) return { error: error.message };
+    existingBySku = new Map((existing || []).map((p) => [p.sku, p]));
+    withVariants = await getProductIdsWithVariants((existing || []).map((p) => p.id));
+  }
+
+  const seenSkus = new Set();
+  const rows = records.map((record, idx) => {
+    const line = idx + 2; // la fila 1 es la cabecera
+    const input = recordToInput(record);
+    const errors = [];
+
+    const parsed = schema.safeParse({ ...input, businessId });
+    if (!parsed.success) errors.push(...formatIssues(parsed.error));
+
+    if (input.images?.some((u) => !/^https?:\/\//iu.test(u))) {
+      errors.push('images: solo se aceptan URLs http(s) separadas por "|"');
+    }
+
+    const sku = input.sku || null;
+    if (sku) {
+      if (seenSkus.has(sku)) errors.push(`sku: "${sku}" está repetido en el archivo`);
+      seenSkus.add(sku);
+    }
+
+    const existing = sku ? existingBySku.get(sku) : null;
+    let action = 'create';
+    if (existing) {
+      if (mode !== 'upsert') {
+        errors.push(`sku: ya existe un producto con SKU "${sku}" (usa mode=upsert para actualizarlo)`);
+      } else {
+        action = 'update';
+        if (input.stock !== undefined && withVariants.has(String(existing.id))) {
+          errors.push('stock: el producto tiene variantes; su stock se administra por variante');
+        } else if (input.stock !== undefined && parsed.success && parsed.data.stock < (Number(existing.reserved_stock) || 0)) {
+          errors.push(reservedStockError(existing.reserved_stock));
+        }
+      }
+    }
+
+    return {
+      row: line,
+      sku,
+      name: input.name || null,
+      action,
+      productId: existing?.id || null,
+      errors,
+      input,
+      data: parsed.success ? parsed.data : null,
+    };
+  });
+
+  return { rows };
+};
+
+// Aplica las filas válidas del plan (fila por fila: un error no detiene el resto)
+export const applyProductImport = async ({ rows, businessId }) => {
+  for (const row of rows) {
+    if (row.errors.length > 0) continue;
+    const { data: body, input } = row;
+
+    if (row.action === 'update') {
+      const patch = {};
+      for (const [field, column] of Object.entries(COLUMN_BY_FIELD)) {
+        if (input[field] !== undefined) patch[column] = body[field];
+      }
+      if (input.images !== undefined) {
+        patch.images = body.images.slice(0, 6);
+        patch.image_url = patch.images[0] || null;
+      }
+      // El stock nunca queda por debajo de lo ya reservado (condición en el mismo update: las reservas
+      // pudieron cambiar desde el plan)
+      let query = supabase.from('products').update(patch).eq('id', row.productId);
+      if (patch.stock !== undefined) query = query.lte('reserved_stock', patch.stock);
+      const { data: updated, error } = await query.select('id');
+      if (error) {
+        row.errors.push(error.message);
+      } else if (!Array.isArray(updated) || updated.length === 0) {
+        const { data: current } = await supabase.from('products').select('reserved_stock').eq('id', row.productId).maybeSingle();
+        row.errors.push(reservedStockError(current?.reserved_stock));
+      }
+      continue;
+    }
+
+    const images = (body.images || []).slice(0, 6);
+    const { data, error } = await supabase
+      .from('products')
+      .insert([{
+        business_id: businessId,
+        sku: row.sku,
+        name: body.name,
+        description: body.description,
+        price: body.price,
+        category: body.category,
+        stock: body.stock,
+        images,
+        image_url: images[0] || null,
+        accepts_delivery: body.acceptsDelivery,
+        accepts_pickup: body.acceptsPickup,
+        accepts_paypal: body.acceptsPaypal,
+        accepts_cash: body.acceptsCash,
+        featured: body.featured,
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      row.errors.push(error.code === '23505' ? `sku: ya existe un producto con SKU "${row.sku}"` : error.message);
+    } else {
+      row.productId = data.id;
+    }
+  }
+  return rows;
+};
+
+// Resultado para la API (sin los objetos internos de cada fila)
+export const summarizeImport = (rows, { dryRun }) => {
+  const ok = rows.filter((r) => r.errors.length === 0);
+  return {
+    dryRun,
+    summary: {
+      total: rows.length,
+      created: ok.filter((r) => r.action === 'create').length,
+      updated: ok.filter((r) => r.action === 'update').length,
+      failed: rows.length - ok.length,
+    },
+    rows: rows.map((r) => ({
+      row: r.row,
+      sku: r.sku,
+      name: r.name,
+      action: r.action,
+      status: r.errors.length === 0 ? 'ok' : 'error',
+      productId: r.productId,
+      errors: r.errors,
+    })),
+  };
+};
+
+const boolCell = (v) => (v === false ? 'false' : 'true');
+
+export const exportBusinessProductsCsv = async (businessId) => {
+  const { data, error } = await supabase
+    .from('products')
+    .select('sku, name, description, price, category, stock, images, image_url, accepts_delivery, accepts_pickup, accepts_paypal, accepts_cash, featured, created_at')
+    .eq('business_id', businessId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+
+  const rows = (data || []).map((p) => {
+    const images = Array.isArray(p.images) && p.images.length > 0 ? p.images : [p.image_url].filter(Boolean);
+    return {
+      sku: p.sku || '',
+      name: p.name,
+      description: p.description || '',
+      price: Number(p.price) || 0,
+      category: p.category || '',
+      stock: Number(p.stock) || 0,
+      images: images.join('|'),
+      accepts_delivery: boolCell(p.accepts_delivery),
+      accepts_pickup: boolCell(p.accepts_pickup),
+      accepts_paypal: boolCell(p.accepts_paypal),
+      accepts_cash: boolCell(p.accepts_cash),
+      featured: p.featured === true ? 'true' : 'false',
+    };
+  });
+
+  return toCsv(PRODUCT_CSV_COLUMNS, rows);
+};
+
+export default {
+  MAX_IMPORT_ROWS,
+  PRODUCT_CSV_COLUMNS,
+  planProductImport,
+  applyProductImport,
+  summarizeImport,
+  exportBusinessProductsCsv,
+};
@@ -0,0 +1,145 @@
+import { supabase } from './config/supabase.js';
+import { isRangeNotSatisfiable } from './utils/pagination.js';
+
+// Reseñas de productos: solo con un pedido entregado que incluya el producto (compra verificada).
+// products.rating / rating_count se recalculan tras cada cambio (se usan para ordenar el catálogo).
+
+export const MAX_REVIEW_PHOTOS = 4;
+
+export const REVIEW_SORTS = {
+  newest: [['created_at', false]],
+  highest: [['rating', false], ['created_at', false]],
+  lowest: [['rating', true], ['created_at', false]],
+};
+
+const REVIEW_COLUMNS = 'id, product_id, business_id, user_id, order_id, rating, comment, photos, verified_purchase, reply, replied_at, created_at, updated_at';
+
+// Pedido entregado más reciente del usuario que incluye el producto (o null)
+export const findDeliveredPurchase = async ({ userId, productId }) => {
+  const { data, error } = await supabase
+    .from('order_items')
+    .select('order_id, orders!inner(id, customer_id, status, delivered_at, created_at)')
+    .eq('product_id', productId)
+    .eq('orders.customer_id', userId)
+    .eq('orders.status', 'delivered');
+  if (error) throw error;
+
+  // El orden sobre la tabla embebida no ordena las filas de order_items: se elige el más reciente aquí
+  const orderTime = (row) => new Date(row.orders?.delivered_at || row.orders?.created_at || 0).getTime();
+  const latest = (data || []).reduce((best, row) => (!best || orderTime(row) > orderTime(best) ? row : best), null);
+  return latest?.order_id || null;
+};
+
+// Promedio, total y distribución por estrellas (en JS, como getBusinessRatingSummary)
+export const getProductRatingSummary = async (productId) => {
+  const { data: ratings, error } = await supabase
+    .from('product_reviews')
+    .select('rating')
+    .eq('product_id', productId);
+  if (error) throw error;
+
+  const list = Array.isArray(ratings) ? ratings : [];
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let sum = 0;
+  for (const r of list) {
+    const value = Number(r.rating) || 0;
+    if (distribution[value] !== undefined) distribution[value] += 1;
+    sum += value;
+  }
+  const ratingCount = list.length;
+  return {
+    rating: ratingCount > 0 ? Number((sum / ratingCount).toFixed(2)) : 0,
+    ratingCount,
+    distribution,
+  };
+};
+
+// Recalcula y guarda products.rating / rating_count. Devuelve el resumen.
+export const refreshProductRating = async (productId) => {
+  const summary = await getProductRatingSummary(productId);
+  await supabase
+    .from('products')
+    .update({ rating: summary.rating, rating_count: summary.ratingCount })
+    .eq('id', productId);
+  return summary;
+};
+
+// Reseña tal como se expone (con el nombre público del autor)
+export const serializeReview = (r, authorById = new Map()) => ({
+  id: r.id,
+  productId: r.product_id,
+  rating: r.rating,
+  comment: r.comment || '',
+  photos: Array.isArray(r.photos) ? r.photos : [],
+  verifiedPurchase: r.verified_purchase === true,
+  author: { id: r.user_id, name: authorById.get(String(r.user_id)) || 'Cliente' },
+  reply: r.reply ? { text: r.reply, repliedAt: r.replied_at } : null,
+  createdAt: r.created_at,
+  updatedAt: r.updated_at,
+});
+
+async function getAuthorNames(userIds) {
+  const ids = Array.from(new Set((userIds || []).filter(Boolean)));
+  if (ids.length === 0) return new Map();
+  const { data } = await supabase.from('profiles').select('id, name').in('id', ids);
+  return new Map((data || []).map((p) => [String(p.id), p.name]));
+}
+
+// Página de reseñas: { items, total }. rating filtra por estrellas exactas.
+export const listProductReviews = async ({ productId, sort = 'newest', rating = null, from, to }) => {
+  let query = supabase
+    .from('product_reviews')
+    .select(REVIEW_COLUMNS, { count: 'exact' })
+    .eq('product_id', productId);
+  if (rating) query = query.eq('rating', rating);
+  for (const [column, ascending] of REVIEW_SORTS[sort] || REVIEW_SORTS.newest) {
+    query = query.order(column, { ascending });
+  }
+
+  const { data, count, error } = await query.order('id', { ascending: true }).range(from, to);
+  if (isRangeNotSatisfiable(error)) {
+    let countQuery = supabase.from('product_reviews').select('id', { count: 'exact', head: true }).eq('product_id', productId);
+    if (rating) countQuery = countQuery.eq('rating', rating);
+    const { count: total } = await countQuery;
+    return { items: [], total: total || 0 };
+  }
+  if (error) return { error };
+
+  const authors = await getAuthorNames((data || []).map((r) => r.user_id));
+  return { items: (data || []).map((r) => serializeReview(r, authors)), total: count || 0 };
+};
+
+export const getReview = async (reviewId) => {
+  const { data, error } = await supabase.from('product_reviews').select(REVIEW_COLUMNS).eq('id', reviewId).maybeSingle();
+  if (error) throw error;
+  return data || null;
+};
+
+export const getUserReview = async ({ userId, productId }) => {
+  const { data, error } = await supabase
+    .from('product_reviews')
+    .select(REVIEW_COLUMNS)
+    .eq('product_id', productId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+};
+
+export const withAuthor = async (review) => {
+  if (!review) return null;
+  return serializeReview(review, await getAuthorNames([review.user_id]));
+};
+
+export default {
+  MAX_REVIEW_PHOTOS,
+  REVIEW_SORTS,
+  findDeliveredPurchase,
+  getProductRatingSummary,
+  refreshProductRating,
+  serializeReview,
+  listProductReviews,
+  getReview,
+  getUserReview,
+  withAuthor,
+};
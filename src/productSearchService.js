@@ -0,0 +1,56 @@
+import { supabase } from './config/supabase.js';
+
+export const SEARCH_QUERY_MAX_LENGTH = 200;
+
+// Búsqueda full-text (RPC search_products): español sin tildes, tolerante a errores de tipeo,
+// ordenada por relevancia u otro criterio. El texto del usuario viaja como parámetro, sin escaparlo a mano.
+// Devuelve { items, total }; cada item es el producto + searchRank + highlight { name, description }
+// (HTML escapado con las coincidencias en <mark>).
+export const searchProducts = async ({
+  query,
+  category = null,
+  businessId = null,
+  minPrice = null,
+  maxPrice = null,
+  featured = null,
+  inStock = false,
+  sort = 'relevance',
+  page = 1,
+  limit = 24,
+}) => {
+  const params = {
+    p_query: String(query || '').slice(0, SEARCH_QUERY_MAX_LENGTH),
+    p_category: category || null,
+    p_business_id: businessId || null,
+    p_min_price: minPrice ?? null,
+    p_max_price: maxPrice ?? null,
+    p_featured: featured ?? null,
+    p_in_stock: Boolean(inStock),
+    p_sort: sort,
+    p_limit: limit,
+    p_offset: (page - 1) * limit,
+  };
+
+  const { data, error } = await supabase.rpc('search_products', params);
+  if (error) throw error;
+
+  const rows = Array.isArray(data) ? data : [];
+  let total = Number(rows[0]?.total_count) || 0;
+
+  // Página fuera de rango: la RPC no devuelve filas, así que el total se consulta aparte
+  if (rows.length === 0 && page > 1) {
+    const { data: first } = await supabase.rpc('search_products', { ...params, p_limit: 1, p_offset: 0 });
+    total = Number(first?.[0]?.total_count) || 0;
+  }
+
+  return {
+    total,
+    items: rows.map((r) => ({
+      ...r.product,
+      searchRank: r.rank,
+      highlight: { name: r.name_highlight, description: r.description_highlight },
+    })),
+  };
+};
+
+export default { searchProducts, SEARCH_QUERY_MAX_LENGTH };
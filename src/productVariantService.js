@@ -0,0 +1,180 @@
+import { supabase } from './config/supabase.js';
+import { toImageSet } from './imageUploadService.js';
+import { httpError } from './utils/httpError.js';
+
+// Variantes de producto. Los grupos de opciones viven en products.options
+// ([{ name: 'Talla', values: ['S', 'M'] }]) y cada combinación es una fila de product_variants
+// con options = { Talla: 'M', Color: 'Rojo' }. price null = usa el precio del producto.
+
+export const MAX_OPTION_GROUPS = 3;
+export const MAX_VARIANTS_PER_PRODUCT = 100;
+
+const VARIANT_COLUMNS = 'id, product_id, sku, options, price, stock, reserved_stock, image_url, position, is_active, created_at, updated_at';
+
+// Clave estable de una combinación (independiente del orden de las claves)
+const optionsKey = (options) => JSON.stringify(Object.keys(options || {}).sort().map((k) => [k, options[k]]));
+
+// "Talla: M / Color: Rojo" en el orden de los grupos del producto
+export const variantLabel = (options, groups = []) => {
+  const values = options && typeof options === 'object' ? options : {};
+  const order = groups.length > 0 ? groups.map((g) => g.name) : Object.keys(values);
+  return order.filter((name) => values[name] !== undefined).map((name) => `${name}: ${values[name]}`).join(' / ');
+};
+
+// Valida grupos de opciones (nombres y valores únicos). Lanza 400 si no son válidos.
+export const validateOptionGroups = (groups) => {
+  const list = Array.isArray(groups) ? groups : [];
+  if (list.length > MAX_OPTION_GROUPS) {
+    throw httpError(400, `Máximo ${MAX_OPTION_GROUPS} grupos de opciones por producto`, 'invalid_variant_options');
+  }
+  const names = new Set();
+  for (const g of list) {
+    const key = g.name.toLowerCase();
+    if (names.has(key)) throw httpError(400, `Grupo de opciones repetido: ${g.name}`, 'invalid_variant_options');
+    names.add(key);
+    if (new Set(g.values.map((v) => v.toLowerCase())).size !== g.values.length) {
+      throw httpError(400, `Valores repetidos en el grupo ${g.name}`, 'invalid_variant_options');
+    }
+  }
+  return list;
+};
+
+// Cada variante debe elegir exactamente un valor existente por grupo, sin combinaciones repetidas.
+export const validateVariantOptions = (groups, variants) => {
+  const seen = new Set();
+  for (const v of variants) {
+    const options = v.options || {};
+    const keys = Object.keys(options);
+    if (keys.length !== groups.length) {
+      throw httpError(400, 'Cada variante debe tener un valor para cada grupo de opciones', 'invalid_variant_options');
+    }
+    for (const g of groups) {
+      if (!g.values.includes(options[g.name])) {
+        throw httpError(400, `Valor inválido para ${g.name}: ${options[g.name] ?? '(vacío)'}`, 'invalid_variant_options');
+      }
+    }
+    const key = optionsKey(options);
+    if (seen.has(key)) {
+      throw httpError(409, `Combinación repetida: ${variantLabel(options, groups)}`, 'duplicate_variant');
+    }
+    seen.add(key);
+  }
+};
+
+// Variante tal como se expone en la API
+export const serializeVariant = (v, product = null) => {
+  const stock = Number(v.stock) || 0;
+  const reserved = Number(v.reserved_stock) || 0;
+  const price = v.price === null || v.price === undefined ? null : Number(v.price);
+  return {
+    id: v.id,
+    sku: v.sku || null,
+    options: v.options || {},
+    label: variantLabel(v.options, product?.options || []),
+    price,
+    effectivePrice: price ?? (product ? Number(product.price) || 0 : null),
+    stock,
+    reservedStock: reserved,
+    availableStock: Math.max(0, stock - reserved),
+    imageUrl: v.image_url || null,
+    imageSet: toImageSet(v.image_url),
+    position: Number(v.position) || 0,
+    isActive: v.is_active !== false,
+  };
+};
+
+export const getProductVariants = async (productId, { includeInactive = false } = {}) => {
+  let query = supabase
+    .from('product_variants')
+    .select(VARIANT_COLUMNS)
+    .eq('product_id', productId)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+  if (!includeInactive) query = query.eq('is_active', true);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+// Matriz de variantes para el detalle: grupos + una entrada por combinación activa
+export const getVariantMatrix = async (product, options = {}) => {
+  const variants = await getProductVariants(product.id, options);
+  return {
+    options: Array.isArray(product.options) ? product.options : [],
+    variants: variants.map((v) => serializeVariant(v, product)),
+  };
+};
+
+export const getVariantsByIds = async (variantIds) => {
+  const ids = Array.from(new Set((variantIds || []).filter(Boolean)));
+  if (ids.length === 0) return [];
+  const { data, error } = await supabase.from('product_variants').select(VARIANT_COLUMNS).in('id', ids);
+  if (error) throw error;
+  return data || [];
+};
+
+// ids de productos (de la lista) que tienen variantes activas: en esos el cliente debe elegir una
+export const getProductIdsWithVariants = async (productIds) => {
+  const ids = Array.from(new Set((productIds || []).filter(Boolean)));
+  if (ids.length === 0) return new Set();
+  const { data, error } = await supabase
+    .from('product_variants')
+    .select('product_id')
+    .in('product_id', ids)
+    .eq('is_active', true);
+  if (error) throw error;
+  return new Set((data || []).map((v) => String(v.product_id)));
+};
+
+// Fila de product_variants a partir del body validado (camelCase -> snake_case)
+export const toVariantRow = (input, { productId, businessId } = {}) => {
+  const row = {};
+  if (productId) row.product_id = productId;
+  if (businessId) row.business_id = businessId;
+  if (input.sku !== undefined) row.sku = input.sku || null;
+  if (input.options !== undefined) row.options = input.options;
+  if (input.price !== undefined) row.price = input.price;
+  if (input.stock !== undefined) row.stock = input.stock;
+  if (input.imageUrl !== undefined) row.image_url = input.imageUrl || null;
+  if (input.position !== undefined) row.position = input.position;
+  if (input.isActive !== undefined) row.is_active = input.isActive;
+  return row;
+};
+
+// Traduce violaciones de índices únicos (SKU o combinación repetida) a 409
+export const variantWriteError = (error) => {
+  if (error?.code === '23505') {
+    const isSku = String(error.message || '').includes('sku');
+    return httpError(
+      409,
+      isSku ? 'Ya existe una variante con ese SKU en el negocio' : 'Ya existe una variante con esa combinación',
+      isSku ? 'duplicate_sku' : 'duplicate_variant',
+    );
+  }
+  return httpError(400, error?.message || 'No se pudo guardar la variante');
+};
+
+export const insertVariants = async ({ productId, businessId, variants }) => {
+  if (!Array.isArray(variants) || variants.length === 0) return [];
+  const rows = variants.map((v, i) => toVariantRow({ position: i, ...v }, { productId, businessId }));
+  const { data, error } = await supabase.from('product_variants').insert(rows).select(VARIANT_COLUMNS);
+  if (error) throw variantWriteError(error);
+  return data || [];
+};
+
+export default {
+  MAX_OPTION_GROUPS,
+  MAX_VARIANTS_PER_PRODUCT,
+  variantLabel,
+  validateOptionGroups,
+  validateVariantOptions,
+  serializeVariant,
+  getProductVariants,
+  getVariantMatrix,
+  getVariantsByIds,
+  getProductIdsWithVariants,
+  toVariantRow,
+  variantWriteError,
+  insertVariants,
+};
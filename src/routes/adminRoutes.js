@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { z } from 'zod';
 import { supabase } from '../config/supabase.js';
 import { requireAuth, requireRole } from '../middlewares/auth.js';
+import { releaseReservationsForOrders } from '../orderService.js';
+import { cleanupOrphanedStorage, CLEANUP_BUCKETS } from '../storageCleanupService.js';
 
 const router = Router();
 
@@ -151,6 +153,7 @@ router.delete('/users/:id', requireAuth, requireRole(['admin']), async (req, res
       const { data: userOrders, error: ordersErr } = await supabase.from('orders').select('id').eq('customer_id', id);
       if (!ordersErr && Array.isArray(userOrders) && userOrders.length > 0) {
         const ids = userOrders.map((o) => o.id);
+        await releaseReservationsForOrders(ids);
         await supabase.from('order_items').delete().in('order_id', ids);
         await supabase.from('orders').delete().in('id', ids);
       }
@@ -186,4 +189,53 @@ router.get('/orders', requireAuth, requireRole(['admin']), async (req, res, next
   }
 });
 
+// --- Limpieza de archivos huérfanos en Storage ---
+
+const storageCleanupSchema = z
+  .object({
+    dryRun: z.boolean().optional().default(true),
+    buckets: z.array(z.enum(CLEANUP_BUCKETS)).min(1).optional(),
+    graceHours: z.coerce.number().min(1).max(24 * 90).optional(),
+    maxDeletes: z.coerce.number().int().min(0).max(5000).optional(),
+  })
+  .strict();
+
+function respondWithCleanupError(res, err, next) {
+  if (!err?.statusCode) return next(err);
+  return res.status(err.statusCode).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+}
+
+// Reporte (dry-run): qué archivos no referencia ninguna fila y cuáles ya pasaron el período de gracia
+router.get('/storage/orphans', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const graceHours = req.query.graceHours !== undefined ? Number(req.query.graceHours) : undefined;
+    if (graceHours !== undefined && !(graceHours >= 1)) {
+      return res.status(400).json({ error: 'graceHours inválido', code: 'invalid_query' });
+    }
+    const report = await cleanupOrphanedStorage({ dryRun: true, graceHours });
+    return res.json(report);
+  } catch (err) {
+    return respondWithCleanupError(res, err, next);
+  }
+});
+
+// Ejecuta la limpieza. Por defecto es dry-run: hay que mandar { dryRun: false } para borrar.
+router.post('/storage/cleanup', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const parsed = storageCleanupSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Parámetros inválidos', code: 'invalid_body' });
+
+    const body = parsed.data;
+    const report = await cleanupOrphanedStorage({
+      dryRun: body.dryRun,
+      ...(body.buckets ? { buckets: body.buckets } : {}),
+      ...(body.graceHours !== undefined ? { graceHours: body.graceHours } : {}),
+      ...(body.maxDeletes !== undefined ? { maxDeletes: body.maxDeletes } : {}),
+    });
+    return res.json(report);
+  } catch (err) {
+    return respondWithCleanupError(res, err, next);
+  }
+});
+
 export default router;
@@ -1,26 +1,28 @@
 import { Router } from 'express';
 import { z } from 'zod';
 import { supabase, supabaseAuth } from '../config/supabase.js';
-import { parseDataUrl, guessFileExtFromMime } from '../utils/dataUrl.js';
-import { randomUUID } from 'crypto';
+import { uploadDataUrlToStorage } from '../imageUploadService.js';
 import { requireAuth } from '../middlewares/auth.js';
+import { releaseReservationsForOrders } from '../orderService.js';
 import { notifyAdmins } from '../utils/notifyAdmins.js';
+import {
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  consumeLoginChallenge,
+} from '../twoFactorService.js';
+import { httpError } from '../utils/httpError.js';
 
 const router = Router();
 
-// Helper para subir data URLs a storage
-async function uploadDataUrlToStorage({ bucket, folder, dataUrl }) {
-  const parsed = parseDataUrl(dataUrl);
-  if (!parsed) return null;
-
-  const ext = guessFileExtFromMime(parsed.mimeType);
-  const filePath = `${folder}/${Date.now()}_${randomUUID()}.${ext}`;
-
-  const { error: uploadError } = await supabase.storage.from(bucket).upload(filePath, parsed.buffer, { contentType: parsed.mimeType });
-  if (uploadError) throw uploadError;
-
-  const { data } = supabase.storage.from(bucket).getPublicUrl(filePath);
-  return data.publicUrl;
+// Errores esperados del flujo 2FA llevan statusCode + code (p.ej. invalid_two_factor_code)
+function handleTwoFactorError(err, res, next) {
+  if (err?.statusCode) return res.status(err.statusCode).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  return next(err);
 }
 
 const registerSchema = z
@@ -179,6 +181,144 @@ router.post('/register', async (req, res, next) => {
 // Nota: la verificación de email se maneja mediante Supabase (confirmación por link).
 // Los endpoints de verificación por código y reenvío se han eliminado para usar la funcionalidad nativa de Supabase.
 
+// Segunda mitad del login (tras validar credenciales y, si aplica, el segundo factor):
+// asegura el profile, sincroniza email_verified, crea el negocio pendiente y arma la respuesta.
+async function buildLoginResponse({ user, token, email }) {
+  // Puede existir el usuario en Auth pero no su fila en `profiles` (por fallos previos de RLS,
+  // registros interrumpidos, etc). En ese caso, no rompemos el login: creamos el profile.
+  // Además seleccionamos `pending_business` desde user_metadata más abajo (admin client).
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('id, name, role, business_id, phone, faculty')
+    .eq('id', user.id)
+    .maybeSingle();
+
+  if (profileError) throw httpError(400, profileError.message);
+
+  let ensuredProfile = profile;
+  if (!ensuredProfile) {
+    const fallbackName = (user.email || '').split('@')[0] || 'Usuario';
+
+    const { data: created, error: createError } = await supabase
+      .from('profiles')
+      .insert([
+        {
+          id: user.id,
+          name: fallbackName,
+          email: user.email || email,
+          phone: '',
+          faculty: '',
+          role: 'customer',
+        },
+      ])
+      .select('id, name, role, business_id, phone, faculty')
+      .single();
+
+    if (createError) throw httpError(400, createError.message);
+    ensuredProfile = created;
+  }
+
+  // Sincronizar campo `email_verified` en `profiles` según el estado en Supabase Auth
+  try {
+    // Usamos el cliente admin (service role) `supabase` para consultar el usuario
+    const { data: adminResp, error: adminErr } = await supabase.auth.admin.getUserById(user.id);
+    const adminUser = adminResp?.user || adminResp;
+    const confirmed = !!(adminUser?.email_confirmed_at || adminUser?.confirmed_at || adminUser?.email_confirmed);
+    if (confirmed && !ensuredProfile.email_verified) {
+      const { error: updVerifiedErr } = await supabase.from('profiles').update({ email_verified: true }).eq('id', user.id);
+      if (!updVerifiedErr) ensuredProfile.email_verified = true;
+    }
+    // Si el perfil indica que es emprendedor pero aún no tiene business_id, y existe
+    // `pending_business` en user_metadata, intentamos crear el negocio automáticamente.
+    try {
+      const pending = adminUser?.user_metadata?.pending_business;
+      if (ensuredProfile && ensuredProfile.role === 'entrepreneur' && !ensuredProfile.business_id && pending) {
+        try {
+          const bizPayload = {
+            owner_id: user.id,
+            name: pending.name,
+            description: pending.description || '',
+            category: pending.category,
+            phone: pending.phone || ensuredProfile.phone || '',
+            email: pending.email || user.email,
+            instagram: pending.instagram || null,
+            logo_url: null,
+            banner_url: null,
+          };
+
+          // Subir logo/banner si vienen como data URLs
+          try {
+            if (pending.logo && typeof pending.logo === 'string' && pending.logo.startsWith('data:')) {
+              bizPayload.logo_url = await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'logos', dataUrl: pending.logo });
+            } else if (pending.logo) {
+              bizPayload.logo_url = pending.logo;
+            }
+          } catch (uErr) {
+            console.warn('Error subiendo logo desde pending_business:', uErr?.message || uErr);
+          }
+
+          try {
+            if (pending.banner && typeof pending.banner === 'string' && pending.banner.startsWith('data:')) {
+              bizPayload.banner_url = await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'banners', dataUrl: pending.banner });
+            } else if (pending.banner) {
+              bizPayload.banner_url = pending.banner;
+            }
+          } catch (uErr) {
+            console.warn('Error subiendo banner desde pending_business:', uErr?.message || uErr);
+          }
+
+          const { data: bizData, error: bizError } = await supabase.from('businesses').insert([bizPayload]).select().single();
+          if (!bizError && bizData?.id) {
+            // vincular al profile
+            await supabase.from('profiles').update({ business_id: bizData.id }).eq('id', user.id);
+            ensuredProfile.business_id = bizData.id;
+
+            // Limpiar pending_business de user_metadata (conservar otras claves si existen)
+            try {
+              const meta = adminUser?.user_metadata || {};
+              const nextMeta = { ...meta };
+              delete nextMeta.pending_business;
+              await supabase.auth.admin.updateUserById(user.id, { user_metadata: nextMeta });
+            } catch (cErr) {
+              console.warn('No se pudo limpiar pending_business en user_metadata:', cErr?.message || cErr);
+            }
+
+            // Notificar admins
+            try {
+              await notifyAdmins({
+                title: 'Nuevo negocio creado (post-confirmación)',
+                message: `Se creó el negocio "${bizData.name}" por ${user.email} al iniciar sesión.`,
+                meta: { kind: 'business', action: 'created', businessId: bizData.id, ownerUserId: user.id },
+              });
+            } catch (nErr) {
+              // ignore
+            }
+          }
+        } catch (e) {
+          console.warn('Error creando negocio desde pending_business en login:', e?.message || e);
+        }
+      }
+    } catch (e) {
+      // ignore
+    }
+  } catch (e) {
+    console.warn('No se pudo sincronizar email_verified:', e?.message || e);
+  }
+
+  return {
+    token,
+    user: { id: user.id, email: user.email },
+    profile: {
+      id: ensuredProfile.id,
+      name: ensuredProfile.name,
+      role: ensuredProfile.role,
+      businessId: ensuredProfile.business_id,
+      phone: ensuredProfile.phone,
+      faculty: ensuredProfile.faculty,
+    },
+   };
+}
+
 const loginSchema = z.object({
   email: z.string().email(),
   password: z.string().min(1),
@@ -222,141 +362,89 @@ router.post('/login', async (req, res, next) => {
       // En caso de error al consultar, no bloquear automáticamente; permitimos continuar.
     }
 
-    // Puede existir el usuario en Auth pero no su fila en `profiles` (por fallos previos de RLS,
-    // registros interrumpidos, etc). En ese caso, no rompemos el login: creamos el profile.
-    // Además seleccionamos `pending_business` desde user_metadata más abajo (admin client).
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('id, name, role, business_id, phone, faculty')
-      .eq('id', user.id)
-      .maybeSingle();
-
-    if (profileError) return res.status(400).json({ error: profileError.message });
-
-    let ensuredProfile = profile;
-    if (!ensuredProfile) {
-      const fallbackName = (user.email || '').split('@')[0] || 'Usuario';
-
-      const { data: created, error: createError } = await supabase
-        .from('profiles')
-        .insert([
-          {
-            id: user.id,
-            name: fallbackName,
-            email: user.email || body.email,
-            phone: '',
-            faculty: '',
-            role: 'customer',
-          },
-        ])
-        .select('id, name, role, business_id, phone, faculty')
-        .single();
-
-      if (createError) return res.status(400).json({ error: createError.message });
-      ensuredProfile = created;
+    // Verificación en dos pasos: si está activa, la sesión de la contraseña se revoca y la definitiva se
+    // emite recién al validar el código en POST /api/auth/login/2fa.
+    if (await isTwoFactorEnabled(user.id)) {
+      await supabase.auth.admin.signOut(token, 'local').catch(() => null);
+      const challenge = await createLoginChallenge({ userId: user.id, email: user.email || body.email });
+      return res.json({ twoFactorRequired: true, challengeId: challenge.challengeId, expiresAt: challenge.expiresAt });
     }
 
-    // Sincronizar campo `email_verified` en `profiles` según el estado en Supabase Auth
-    try {
-      // Usamos el cliente admin (service role) `supabase` para consultar el usuario
-      const { data: adminResp, error: adminErr } = await supabase.auth.admin.getUserById(user.id);
-      const adminUser = adminResp?.user || adminResp;
-      const confirmed = !!(adminUser?.email_confirmed_at || adminUser?.confirmed_at || adminUser?.email_confirmed);
-      if (confirmed && !ensuredProfile.email_verified) {
-        const { error: updVerifiedErr } = await supabase.from('profiles').update({ email_verified: true }).eq('id', user.id);
-        if (!updVerifiedErr) ensuredProfile.email_verified = true;
-      }
-      // Si el perfil indica que es emprendedor pero aún no tiene business_id, y existe
-      // `pending_business` en user_metadata, intentamos crear el negocio automáticamente.
-      try {
-        const pending = adminUser?.user_metadata?.pending_business;
-        if (ensuredProfile && ensuredProfile.role === 'entrepreneur' && !ensuredProfile.business_id && pending) {
-          try {
-            const bizPayload = {
-              owner_id: user.id,
-              name: pending.name,
-              description: pending.description || '',
-              category: pending.category,
-              phone: pending.phone || ensuredProfile.phone || '',
-              email: pending.email || user.email,
-              instagram: pending.instagram || null,
-              logo_url: null,
-              banner_url: null,
-            };
-
-            // Subir logo/banner si vienen como data URLs
-            try {
-              if (pending.logo && typeof pending.logo === 'string' && pending.logo.startsWith('data:')) {
-                bizPayload.logo_url = await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'logos', dataUrl: pending.logo });
-              } else if (pending.logo) {
-                bizPayload.logo_url = pending.logo;
-              }
-            } catch (uErr) {
-              console.warn('Error subiendo logo desde pending_business:', uErr?.message || uErr);
-            }
+    return res.json(await buildLoginResponse({ user, token, email: body.email }));
+  } catch (err) {
+    return next(err);
+  }
+});
 
-            try {
-              if (pending.banner && typeof pending.banner === 'string' && pending.banner.startsWith('data:')) {
-                bizPayload.banner_url = await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'banners', dataUrl: pending.banner });
-              } else if (pending.banner) {
-                bizPayload.banner_url = pending.banner;
-              }
-            } catch (uErr) {
-              console.warn('Error subiendo banner desde pending_business:', uErr?.message || uErr);
-            }
+// Segundo paso del login cuando la cuenta tiene 2FA: challengeId + código TOTP (o de recuperación)
+const loginTwoFactorSchema = z.object({
+  challengeId: z.string().min(1),
+  code: z.string().min(1),
+});
 
-            const { data: bizData, error: bizError } = await supabase.from('businesses').insert([bizPayload]).select().single();
-            if (!bizError && bizData?.id) {
-              // vincular al profile
-              await supabase.from('profiles').update({ business_id: bizData.id }).eq('id', user.id);
-              ensuredProfile.business_id = bizData.id;
-
-              // Limpiar pending_business de user_metadata (conservar otras claves si existen)
-              try {
-                const meta = adminUser?.user_metadata || {};
-                const nextMeta = { ...meta };
-                delete nextMeta.pending_business;
-                await supabase.auth.admin.updateUserById(user.id, { user_metadata: nextMeta });
-              } catch (cErr) {
-                console.warn('No se pudo limpiar pending_business en user_metadata:', cErr?.message || cErr);
-              }
-
-              // Notificar admins
-              try {
-                await notifyAdmins({
-                  title: 'Nuevo negocio creado (post-confirmación)',
-                  message: `Se creó el negocio "${bizData.name}" por ${user.email} al iniciar sesión.`,
-                  meta: { kind: 'business', action: 'created', businessId: bizData.id, ownerUserId: user.id },
-                });
-              } catch (nErr) {
-                // ignore
-              }
-            }
-          } catch (e) {
-            console.warn('Error creando negocio desde pending_business en login:', e?.message || e);
-          }
-        }
-      } catch (e) {
-        // ignore
-      }
-    } catch (e) {
-      console.warn('No se pudo sincronizar email_verified:', e?.message || e);
-    }
+router.post('/login/2fa', async (req, res, next) => {
+  try {
+    const body = loginTwoFactorSchema.parse(req.body);
+    const { token, email } = await consumeLoginChallenge(body);
 
-    return res.json({
-      token,
-      user: { id: user.id, email: user.email },
-      profile: {
-        id: ensuredProfile.id,
-        name: ensuredProfile.name,
-        role: ensuredProfile.role,
-        businessId: ensuredProfile.business_id,
-        phone: ensuredProfile.phone,
-        faculty: ensuredProfile.faculty,
-      },
-    });
+    // Sesión recién emitida por consumeLoginChallenge: se resuelve el usuario para la respuesta
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) return res.status(401).json({ error: 'Sesión expirada. Inicia sesión nuevamente.' });
+
+    return res.json(await buildLoginResponse({ user: data.user, token, email }));
   } catch (err) {
-    return next(err);
+    return handleTwoFactorError(err, res, next);
+  }
+});
+
+const twoFactorCodeSchema = z.object({ code: z.string().min(1) });
+
+router.get('/2fa/status', requireAuth, async (req, res, next) => {
+  try {
+    return res.json(await getTwoFactorStatus(req.user.id));
+  } catch (err) {
+    return handleTwoFactorError(err, res, next);
+  }
+});
+
+// Inicia la activación: devuelve el secreto y la URI otpauth:// (para QR) sin activar aún 2FA
+router.post('/2fa/setup', requireAuth, async (req, res, next) => {
+  try {
+    const result = await startEnrollment({ userId: req.user.id, accountName: req.user.email || req.user.id });
+    return res.json(result);
+  } catch (err) {
+    return handleTwoFactorError(err, res, next);
+  }
+});
+
+// Confirma la activación con un código de la app; los códigos de recuperación solo se muestran aquí
+router.post('/2fa/confirm', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+    const { recoveryCodes } = await confirmEnrollment({ userId: req.user.id, code });
+    return res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    return handleTwoFactorError(err, res, next);
+  }
+});
+
+router.post('/2fa/disable', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+    await disableTwoFactor({ userId: req.user.id, code });
+    return res.json({ enabled: false });
+  } catch (err) {
+    return handleTwoFactorError(err, res, next);
+  }
+});
+
+router.post('/2fa/recovery-codes', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+    const { recoveryCodes } = await regenerateRecoveryCodes({ userId: req.user.id, code });
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return handleTwoFactorError(err, res, next);
   }
 });
 
@@ -736,6 +824,7 @@ router.delete('/me', requireAuth, async (req, res, next) => {
       const { data: userOrders, error: ordersErr } = await supabase.from('orders').select('id').eq('customer_id', req.user.id);
       if (!ordersErr && Array.isArray(userOrders) && userOrders.length > 0) {
         const ids = userOrders.map((o) => o.id);
+        await releaseReservationsForOrders(ids);
         await supabase.from('order_items').delete().in('order_id', ids);
         await supabase.from('orders').delete().in('id', ids);
       }
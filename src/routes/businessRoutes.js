@@ -2,29 +2,13 @@ import { Router } from 'express';
 import { z } from 'zod';
 import { supabase } from '../config/supabase.js';
 import { requireAuth, requireRole } from '../middlewares/auth.js';
-import { parseDataUrl, guessFileExtFromMime } from '../utils/dataUrl.js';
-import { randomUUID } from 'crypto';
+import { idempotency } from '../middlewares/idempotency.js';
+import { multipartImages, uploadedFiles } from '../middlewares/multipartImages.js';
+import { uploadDataUrlToStorage, uploadImageFiles, withProductImageSets, withBusinessImageSets } from '../imageUploadService.js';
 import { notifyAdmins } from '../utils/notifyAdmins.js';
 
 const router = Router();
 
-async function uploadDataUrlToStorage({ bucket, folder, dataUrl }) {
-  const parsed = parseDataUrl(dataUrl);
-  if (!parsed) return null;
-
-  const ext = guessFileExtFromMime(parsed.mimeType);
-  const filePath = `${folder}/${Date.now()}_${randomUUID()}.${ext}`;
-
-  const { error: uploadError } = await supabase.storage
-    .from(bucket)
-    .upload(filePath, parsed.buffer, { contentType: parsed.mimeType });
-
-  if (uploadError) throw uploadError;
-
-  const { data } = supabase.storage.from(bucket).getPublicUrl(filePath);
-  return data.publicUrl;
-}
-
 router.get('/', async (req, res, next) => {
   try {
     const { data, error } = await supabase
@@ -48,7 +32,7 @@ router.get('/', async (req, res, next) => {
         }, {});
 
         const enriched = (data || []).map((b) => ({
-          ...b,
+          ...withBusinessImageSets(b),
           address: addrMap[b.owner_id]?.address ?? null,
           addressLabel: addrMap[b.owner_id]?.label ?? null,
           addressCity: addrMap[b.owner_id]?.city ?? null,
@@ -61,7 +45,7 @@ router.get('/', async (req, res, next) => {
       // ignore address enrichment failures
     }
 
-    return res.json(data);
+    return res.json((data || []).map(withBusinessImageSets));
   } catch (err) {
     return next(err);
   }
@@ -106,7 +90,7 @@ router.get('/:id', async (req, res, next) => {
       .select('*')
       .eq('business_id', id);
 
-    return res.json({ ...business, products: products || [] });
+    return res.json({ ...withBusinessImageSets(business), products: (products || []).map(withProductImageSets) });
   } catch (err) {
     return next(err);
   }
@@ -220,6 +204,30 @@ router.post('/:id/ratings', requireAuth, async (req, res, next) => {
   }
 });
 
+// POST/PATCH aceptan multipart/form-data (archivos en "logo"/"banner") además de JSON con data URLs
+const businessImageFields = multipartImages([
+  { name: 'logo', maxCount: 1 },
+  { name: 'banner', maxCount: 1 },
+]);
+
+const BUSINESS_IMAGE_FOLDERS = { logo: 'logos', banner: 'banners' };
+
+// URL final de logo/banner: archivo multipart si vino, si no el valor del body (data URL a subir o URL).
+// undefined = el campo no vino y no hay que tocarlo.
+async function resolveBusinessImage(req, body, field) {
+  const folder = BUSINESS_IMAGE_FOLDERS[field];
+  const files = uploadedFiles(req, field).slice(0, 1);
+  if (files.length > 0) {
+    const [url] = await uploadImageFiles({ bucket: 'business-assets', folder, files });
+    return url;
+  }
+
+  const value = body[field];
+  if (typeof value !== 'string') return undefined;
+  if (value.startsWith('data:')) return uploadDataUrlToStorage({ bucket: 'business-assets', folder, dataUrl: value });
+  return value;
+}
+
 const createBusinessSchema = z.object({
   name: z.string().min(1),
   description: z.string().optional().default(''),
@@ -231,7 +239,7 @@ const createBusinessSchema = z.object({
   banner: z.string().optional(),
 });
 
-router.post('/', requireAuth, async (req, res, next) => {
+router.post('/', requireAuth, businessImageFields, idempotency, async (req, res, next) => {
   try {
     const body = createBusinessSchema.parse(req.body);
 
@@ -252,13 +260,8 @@ router.post('/', requireAuth, async (req, res, next) => {
       return res.status(409).json({ error: 'Ya tienes un negocio registrado' });
     }
 
-    const logoUrl = body.logo?.startsWith('data:')
-      ? await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'logos', dataUrl: body.logo })
-      : body.logo || null;
-
-    const bannerUrl = body.banner?.startsWith('data:')
-      ? await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'banners', dataUrl: body.banner })
-      : body.banner || null;
+    const logoUrl = (await resolveBusinessImage(req, body, 'logo')) || null;
+    const bannerUrl = (await resolveBusinessImage(req, body, 'banner')) || null;
 
     const { data, error } = await supabase
       .from('businesses')
@@ -294,7 +297,7 @@ router.post('/', requireAuth, async (req, res, next) => {
       meta: { kind: 'business', action: 'created', businessId: data?.id, ownerUserId: req.user.id },
     });
 
-    return res.status(201).json({ business: data, upgraded: profile.role === 'customer' });
+    return res.status(201).json({ business: withBusinessImageSets(data), upgraded: profile.role === 'customer' });
   } catch (err) {
     return next(err);
   }
@@ -313,7 +316,7 @@ const updateBusinessSchema = z
   })
   .strict();
 
-router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), businessImageFields, async (req, res, next) => {
   try {
     const { id } = req.params;
     const body = updateBusinessSchema.parse(req.body);
@@ -331,32 +334,21 @@ router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), async
       return res.status(403).json({ error: 'No eres dueño del negocio' });
     }
 
-    if (Object.keys(body).length === 0) {
+    const hasFiles = uploadedFiles(req, 'logo').length > 0 || uploadedFiles(req, 'banner').length > 0;
+    if (Object.keys(body).length === 0 && !hasFiles) {
       return res.status(400).json({ error: 'No hay datos para actualizar' });
     }
 
     const patch = { ...body };
 
-    if (typeof body.logo === 'string' && body.logo.startsWith('data:')) {
-      patch.logo_url = await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'logos', dataUrl: body.logo });
-      delete patch.logo;
-    }
-
-    if (typeof body.banner === 'string' && body.banner.startsWith('data:')) {
-      patch.banner_url = await uploadDataUrlToStorage({ bucket: 'business-assets', folder: 'banners', dataUrl: body.banner });
-      delete patch.banner;
-    }
-
-    // Permitir compatibilidad con frontend que manda logo/banner como campos directos
-    if (typeof body.logo === 'string' && !body.logo.startsWith('data:')) {
-      patch.logo_url = body.logo;
-      delete patch.logo;
-    }
+    // Archivo multipart, data URL a subir o URL directa (compatibilidad con el frontend anterior)
+    const logoUrl = await resolveBusinessImage(req, body, 'logo');
+    if (logoUrl !== undefined) patch.logo_url = logoUrl;
+    delete patch.logo;
 
-    if (typeof body.banner === 'string' && !body.banner.startsWith('data:')) {
-      patch.banner_url = body.banner;
-      delete patch.banner;
-    }
+    const bannerUrl = await resolveBusinessImage(req, body, 'banner');
+    if (bannerUrl !== undefined) patch.banner_url = bannerUrl;
+    delete patch.banner;
 
     const allowedPatch = {
       ...(patch.name !== undefined ? { name: patch.name } : {}),
@@ -372,7 +364,7 @@ router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), async
     const { data, error } = await supabase.from('businesses').update(allowedPatch).eq('id', id).select().single();
     if (error) return res.status(400).json({ error: error.message });
 
-    return res.json({ business: data });
+    return res.json({ business: withBusinessImageSets(data) });
   } catch (err) {
     return next(err);
   }
@@ -1,36 +1,105 @@
 import express from 'express';
-import { getMessages, addMessage, addImageMessage, getLastMessage } from '../chatService.js';
+import { z } from 'zod';
+import {
+  getMessages,
+  addImageMessage,
+  addUserMessage,
+  getLastMessage,
+  ensureChatAccess,
+  serializeChatMessages,
+  serializeChatMessage,
+  CHAT_IMAGE_MAX_BYTES,
+  DEFAULT_MESSAGES_PAGE_SIZE,
+  MAX_MESSAGES_PAGE_SIZE,
+  MAX_MESSAGE_TEXT_LENGTH,
+} from '../chatService.js';
 import { requireAuth } from '../middlewares/auth.js';
-import { supabase } from '../config/supabase.js';
-import { resolveConversationMeta } from '../chatService.js';
+import { multipartImages, uploadedFiles } from '../middlewares/multipartImages.js';
+import { messagePreviewText } from '../utils/chatMessage.js';
+import { paginationSchema, setPaginationHeaders } from '../utils/pagination.js';
+import { listConversations, updateConversationState } from '../chatInboxService.js';
+import { markReadUpTo, markDelivered, getReceiptMarkers, withMessageStatus } from '../chatReceiptService.js';
+import { loadPrivacy } from '../chatPrivacy.js';
+import { DELETE_SCOPES, deleteMessage, editMessage, getMessageEdits } from '../chatMessageEditService.js';
 
 const router = express.Router();
 
-async function ensureChatAccess(req, chatId) {
-  const meta = await resolveConversationMeta(chatId);
-  const businessId = meta.businessId;
-  const customerId = meta.customerId;
-
-  // Si no podemos derivar participantes, permitimos por compat (pero sigue protegido por requireAuth)
-  if (!businessId || !customerId) return meta;
-
-  const userId = req.user?.id;
-  if (!userId) throw new Error('No user');
+// Bandeja: conversaciones donde el usuario es cliente o dueño del negocio, por actividad reciente.
+// ?page&limit&archived=true. Body: array; total en X-Total-Count (ver utils/pagination.js).
+const conversationsQuerySchema = z.object({
+  ...paginationSchema,
+  archived: z.enum(['true', 'false']).default('false'),
+});
 
-  if (userId === customerId) return meta;
+router.get('/conversations', requireAuth, async (req, res) => {
+  const parsed = conversationsQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Parámetros inválidos', code: 'invalid_query' });
+  try {
+    res.set('Cache-Control', 'no-store');
+    const { page, limit } = parsed.data;
+    const { items, total } = await listConversations({
+      userId: req.user.id,
+      archived: parsed.data.archived === 'true',
+      page,
+      limit,
+    });
+    setPaginationHeaders(res, { page, limit, total });
+    return res.json(items);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Error listing conversations', err);
+    return res.status(err?.statusCode || 500).json({ error: 'Error al obtener conversaciones' });
+  }
+});
 
-  // Dueño del negocio
-  const { data: biz } = await supabase.from('businesses').select('id, owner_id').eq('id', businessId).single();
-  if (biz?.owner_id && biz.owner_id === userId) return meta;
+const conversationStateSchema = z
+  .object({
+    muted: z.boolean().optional(),
+    archived: z.boolean().optional(),
+  })
+  .strict();
 
-  // Admin
-  const { data: profile } = await supabase.from('profiles').select('role').eq('id', userId).single();
-  if (profile?.role === 'admin') return meta;
+// Silenciar / archivar una conversación (solo para el usuario que lo pide)
+router.patch('/conversations/:chatId', requireAuth, async (req, res) => {
+  const parsed = conversationStateSchema.safeParse(req.body || {});
+  if (!parsed.success || Object.keys(parsed.data).length === 0) {
+    return res.status(400).json({ error: 'Indica muted y/o archived', code: 'invalid_body' });
+  }
+  try {
+    const meta = await ensureChatAccess(req.user?.id, req.params.chatId);
+    const state = await updateConversationState({
+      conversationId: meta.conversationId,
+      userId: req.user.id,
+      ...parsed.data,
+    });
+    return res.json({ conversation: state });
+  } catch (err) {
+    const status = err?.statusCode || 500;
+    if (status === 403) return res.status(403).json({ error: 'No autorizado' });
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
+    return res.status(status).json({ error: 'Error al actualizar la conversación' });
+  }
+});
 
-  const err = new Error('Forbidden');
-  err.status = 403;
-  throw err;
-}
+// Marcar la conversación como leída (persistente). Body opcional: { lastReadMessageId } para marcar
+// hasta ese mensaje; sin él, hasta ahora. Pone en 0 los no leídos de la bandeja.
+router.post('/conversations/:chatId/read', requireAuth, async (req, res) => {
+  try {
+    const meta = await ensureChatAccess(req.user?.id, req.params.chatId);
+    const receipt = await markReadUpTo({
+      conversationId: meta.conversationId,
+      threadIds: [meta.conversationId, meta.orderId].filter(Boolean),
+      userId: req.user.id,
+      messageId: req.body?.lastReadMessageId || null,
+    });
+    return res.json({ receipt });
+  } catch (err) {
+    const status = err?.statusCode || 500;
+    if (status === 403) return res.status(403).json({ error: 'No autorizado' });
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
+    return res.status(status).json({ error: 'Error al marcar como leída' });
+  }
+});
 
 // Obtener previews (último mensaje) para múltiples conversaciones (requiere auth)
 // Body: { ids: string[] }
@@ -50,12 +119,13 @@ router.post('/previews', requireAuth, async (req, res) => {
     const previews = {};
     for (const chatId of ids) {
       try {
-        await ensureChatAccess(req, chatId);
+        await ensureChatAccess(req.user?.id, chatId);
         const msg = await getLastMessage(chatId, req.user?.id);
         if (!msg) continue;
 
         previews[String(chatId)] = {
-          text: msg?.text || '',
+          type: msg?.type || 'text',
+          text: messagePreviewText(msg),
           senderId: msg?.sender_id || null,
           createdAt: msg?.created_at || null,
         };
@@ -72,57 +142,192 @@ router.post('/previews', requireAuth, async (req, res) => {
   }
 });
 
-// Obtener mensajes de un chat (conversationId u orderId) (requiere auth)
+// Obtener mensajes de un chat (conversationId u orderId) (requiere auth).
+// Query: ?limit=50&before=<cursor> (más antiguos) o ?after=<cursor> (más nuevos).
+// Respuesta: { messages (orden cronológico), hasMore, cursors: { before, after } }
+const messagesQuerySchema = z.object({
+  before: z.string().trim().min(1).max(200).optional(),
+  after: z.string().trim().min(1).max(200).optional(),
+  limit: z.coerce.number().int().min(1).max(MAX_MESSAGES_PAGE_SIZE).default(DEFAULT_MESSAGES_PAGE_SIZE),
+});
+
 router.get('/:chatId/messages', requireAuth, async (req, res) => {
   const { chatId } = req.params;
+  const parsed = messagesQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Parámetros inválidos', code: 'invalid_query' });
+  if (parsed.data.before && parsed.data.after) {
+    return res.status(400).json({ error: 'Usa before o after, no ambos', code: 'invalid_cursor' });
+  }
   try {
     // Chat debe ser siempre fresh: evita ETag/304 que rompen clientes que esperan JSON.
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
 
-    await ensureChatAccess(req, chatId);
-    const msgs = await getMessages(chatId, req.user.id);
-    return res.json({ messages: msgs });
+    const meta = await ensureChatAccess(req.user?.id, chatId);
+    const page = await getMessages(chatId, req.user.id, parsed.data);
+    const participants = [meta.customerId, meta.businessOwnerUserId].filter(Boolean);
+
+    // Abrir el historial cuenta como "recibido" para el participante (best-effort)
+    if (page.messages.length > 0 && participants.map(String).includes(String(req.user.id))) {
+      await markDelivered({ conversationId: meta.conversationId, userId: req.user.id }).catch(() => null);
+    }
+    const [markers] = await Promise.all([
+      getReceiptMarkers(meta.conversationId),
+      // "read" depende de la privacidad guardada de ambos participantes
+      loadPrivacy([...participants, req.user.id]).catch(() => null),
+    ]);
+
+    // Imágenes privadas: URLs firmadas solo para este participante. status: sent | delivered | read
+    return res.json({
+      messages: withMessageStatus(await serializeChatMessages(page.messages, { moderator: meta.isAdmin === true }), {
+        markers,
+        participants,
+        viewerId: req.user.id,
+      }),
+      hasMore: page.hasMore,
+      cursors: page.cursors,
+    });
   } catch (err) {
     // eslint-disable-next-line no-console
     console.error('Error getting messages', err);
-    const status = err?.status || 500;
+    const status = err?.statusCode || 500;
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
     return res.status(status).json({ error: status === 403 ? 'No autorizado' : 'Error al obtener mensajes' });
   }
 });
 
-// Enviar mensaje (fallback HTTP)
+// Enviar mensaje (fallback HTTP).
+// Body: { type?: 'text' | 'product' | 'order', text, productId?, orderId? } (las imágenes van por /images)
 router.post('/:chatId/messages', requireAuth, async (req, res) => {
   const { chatId } = req.params;
   const payload = req.body || {};
-  if (!payload.text) return res.status(400).json({ error: 'Texto requerido' });
+  const type = payload.type || 'text';
+  if (type === 'text' && !payload.text) return res.status(400).json({ error: 'Texto requerido' });
+  if (type === 'product' && !payload.productId) return res.status(400).json({ error: 'productId requerido' });
+  if (type === 'order' && !payload.orderId) return res.status(400).json({ error: 'orderId requerido' });
   try {
-    await ensureChatAccess(req, chatId);
-    const msg = await addMessage(chatId, payload);
-    return res.status(201).json({ message: msg });
+    await ensureChatAccess(req.user?.id, chatId);
+    // El remitente siempre es el usuario autenticado (no se confía en payload.senderId)
+    const msg = await addUserMessage(chatId, {
+      type,
+      text: payload.text,
+      productId: payload.productId,
+      orderId: payload.orderId,
+      senderId: req.user.id,
+      senderName: payload.senderName,
+    });
+    if (!msg) return res.status(500).json({ error: 'Error al guardar mensaje' });
+    return res.status(201).json({ message: await serializeChatMessage(msg) });
   } catch (err) {
     // eslint-disable-next-line no-console
     console.error('Error adding message', err);
-    const status = err?.status || 500;
-    return res.status(status).json({ error: status === 403 ? 'No autorizado' : 'Error al guardar mensaje' });
+    const status = err?.statusCode || 500;
+    if (status === 403) return res.status(403).json({ error: 'No autorizado' });
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
+    return res.status(status).json({ error: 'Error al guardar mensaje' });
   }
 });
 
-// Enviar imagen (fallback HTTP)
-router.post('/:chatId/images', requireAuth, async (req, res) => {
+// Editar un mensaje propio (texto, o caption en imágenes/archivos) dentro de la ventana de edición.
+// Body: { text }. La sala recibe message:updated.
+const editMessageSchema = z.object({
+  text: z.string().max(MAX_MESSAGE_TEXT_LENGTH),
+});
+
+router.patch('/:chatId/messages/:messageId', requireAuth, async (req, res) => {
+  const parsed = editMessageSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: 'Texto inválido', code: 'invalid_body' });
+  try {
+    const meta = await ensureChatAccess(req.user?.id, req.params.chatId);
+    const message = await editMessage({
+      meta,
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      text: parsed.data.text,
+    });
+    return res.json({ message: await serializeChatMessage(message) });
+  } catch (err) {
+    const status = err?.statusCode || 500;
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
+    if (status === 403) return res.status(403).json({ error: 'No autorizado' });
+    // eslint-disable-next-line no-console
+    console.error('Error editing message', err);
+    return res.status(status).json({ error: 'Error al editar mensaje' });
+  }
+});
+
+// Borrar un mensaje. ?scope=me (default: solo para mí) | everyone (solo el remitente; deja tombstone).
+// Con everyone la sala recibe message:deleted.
+const deleteMessageQuerySchema = z.object({
+  scope: z.enum(DELETE_SCOPES).default('me'),
+});
+
+router.delete('/:chatId/messages/:messageId', requireAuth, async (req, res) => {
+  const parsed = deleteMessageQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Parámetros inválidos', code: 'invalid_query' });
+  try {
+    const meta = await ensureChatAccess(req.user?.id, req.params.chatId);
+    const result = await deleteMessage({
+      meta,
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      scope: parsed.data.scope,
+    });
+    return res.json({
+      messageId: result.messageId,
+      scope: result.scope,
+      message: result.message ? await serializeChatMessage(result.message) : null,
+    });
+  } catch (err) {
+    const status = err?.statusCode || 500;
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
+    if (status === 403) return res.status(403).json({ error: 'No autorizado' });
+    // eslint-disable-next-line no-console
+    console.error('Error deleting message', err);
+    return res.status(status).json({ error: 'Error al eliminar mensaje' });
+  }
+});
+
+// Historial de ediciones de un mensaje (solo admins, para moderación)
+router.get('/:chatId/messages/:messageId/edits', requireAuth, async (req, res) => {
+  try {
+    const meta = await ensureChatAccess(req.user?.id, req.params.chatId);
+    if (meta.isAdmin !== true) return res.status(403).json({ error: 'No autorizado' });
+    const edits = await getMessageEdits({ meta, messageId: req.params.messageId });
+    return res.json({ edits });
+  } catch (err) {
+    const status = err?.statusCode || 500;
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
+    if (status === 403) return res.status(403).json({ error: 'No autorizado' });
+    // eslint-disable-next-line no-console
+    console.error('Error getting message edits', err);
+    return res.status(status).json({ error: 'Error al obtener el historial de ediciones' });
+  }
+});
+
+// Enviar imagen (fallback HTTP). JSON con dataUrl o multipart/form-data con el archivo en "image"
+// (más caption/senderName como campos de texto).
+const chatImageField = multipartImages([{ name: 'image', maxCount: 1 }], { maxFileBytes: CHAT_IMAGE_MAX_BYTES });
+
+router.post('/:chatId/images', requireAuth, chatImageField, async (req, res) => {
   const { chatId } = req.params;
   const payload = req.body || {};
-  if (!payload.dataUrl && !payload.imageDataUrl) return res.status(400).json({ error: 'Imagen requerida' });
+  const [file] = uploadedFiles(req, 'image');
+  if (!file && !payload.dataUrl && !payload.imageDataUrl) return res.status(400).json({ error: 'Imagen requerida' });
   try {
-    await ensureChatAccess(req, chatId);
-    const msg = await addImageMessage(chatId, payload);
-    return res.status(201).json({ message: msg });
+    await ensureChatAccess(req.user?.id, chatId);
+    const msg = await addImageMessage(chatId, { ...payload, file, senderId: req.user.id });
+    if (!msg) return res.status(500).json({ error: 'Error al guardar imagen' });
+    return res.status(201).json({ message: await serializeChatMessage(msg) });
   } catch (err) {
     // eslint-disable-next-line no-console
     console.error('Error adding image message', err);
-    const status = err?.status || 500;
-    return res.status(status).json({ error: status === 403 ? 'No autorizado' : 'Error al guardar imagen' });
+    const status = err?.statusCode || 500;
+    if (status === 403) return res.status(403).json({ error: 'No autorizado' });
+    // Errores de validación de la imagen (tamaño, formato) se devuelven tal cual
+    if (status < 500 && err?.code) return res.status(status).json({ error: err.message, code: err.code });
+    return res.status(status).json({ error: 'Error al guardar imagen' });
   }
 });
 
@@ -1,18 +1,70 @@
 import { Router } from 'express';
 import { z } from 'zod';
+import { randomUUID } from 'crypto';
 import { supabase } from '../config/supabase.js';
 import { createNotification } from '../utils/createNotification.js';
 import { requireAuth, requireRole } from '../middlewares/auth.js';
+import { idempotency } from '../middlewares/idempotency.js';
+import {
+  ORDER_STATUSES,
+  canTransition,
+  getAllowedTransitions,
+  reserveStock,
+  applyStockMovement,
+  transitionOrderStatus,
+  releaseReservationsForOrders,
+  recordOrderStatusEvent,
+  getOrderTimeline,
+  selectOrdersQuery,
+  orderLabel,
+  whereOrderKey,
+} from '../orderService.js';
+import { buildInvoicePdf, sendInvoiceEmail } from '../invoiceService.js';
+import { getVariantsByIds, getProductIdsWithVariants, variantLabel } from '../productVariantService.js';
+import { httpError } from '../utils/httpError.js';
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
 const router = Router();
 
+// ?include=timeline agrega order_status_events a cada orden
+const wantsTimeline = (req) => String(req.query?.include || '')
+  .split(',')
+  .map((v) => v.trim().toLowerCase())
+  .includes('timeline');
+
+// Rol con el que el usuario accede a una orden: 'admin', 'owner' (dueño del negocio), 'customer' o null.
+async function resolveOrderAccess(userId, order) {
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  const role = String(profile?.role || '').toLowerCase();
+  if (role === 'admin') return 'admin';
+
+  if (order.business_id) {
+    const { data: biz } = await supabase
+      .from('businesses')
+      .select('id, owner_id')
+      .eq('id', order.business_id)
+      .single();
+
+    if (biz?.owner_id && String(biz.owner_id) === String(userId)) return 'owner';
+  }
+
+  if (String(order.customer_id) === String(userId)) return 'customer';
+  return null;
+}
+
 const createOrderSchema = z.object({
   items: z
     .array(
       z.object({
         productId: z.string().min(1),
+        // Obligatorio si el producto tiene variantes activas
+        variantId: z.string().min(1).optional(),
         quantity: z.coerce.number().int().positive(),
       }),
     )
@@ -29,102 +81,236 @@ const createOrderSchema = z.object({
     .optional(),
 });
 
-router.post('/', requireAuth, async (req, res, next) => {
-  try {
-    const body = createOrderSchema.parse(req.body);
+// Una línea del carrito = producto + variante (la misma variante repetida se agrupa al reservar)
+const lineKey = (item) => `${item.productId}:${item.variantId || ''}`;
 
-    const productIds = body.items.map((i) => i.productId);
+// Carga los productos (y variantes) del carrito.
+// Devuelve { products, lineInfo } o { status, body } con el error a responder.
+// lineInfo: lineKey -> { price, variantLabel, sku } (precio de la variante o, si no tiene, del producto).
+async function loadCartProducts(items) {
+  const productIds = Array.from(new Set(items.map((i) => i.productId)));
 
-    const { data: products, error: productsError } = await supabase
-      .from('products')
-      .select('id, business_id, price')
-      .in('id', productIds);
+  const { data: products, error: productsError } = await supabase
+    .from('products')
+    .select('id, business_id, price, name, options')
+    .in('id', productIds);
 
-    if (productsError) return res.status(400).json({ error: productsError.message });
-    if (!products || products.length !== productIds.length) {
-      return res.status(400).json({ error: 'Uno o más productos no existen' });
-    }
+  if (productsError) return { status: 400, body: { error: productsError.message } };
+  if (!products || products.length !== productIds.length) {
+    return { status: 400, body: { error: 'Uno o más productos no existen' } };
+  }
 
-    const businessId = products[0].business_id;
-    const sameBusiness = products.every((p) => p.business_id === businessId);
-    if (!sameBusiness) return res.status(400).json({ error: 'Los items deben ser del mismo negocio' });
+  let variants;
+  let productsWithVariants;
+  try {
+    [variants, productsWithVariants] = await Promise.all([
+      getVariantsByIds(items.map((i) => i.variantId)),
+      getProductIdsWithVariants(productIds),
+    ]);
+  } catch (variantsErr) {
+    return { status: 400, body: { error: variantsErr?.message || 'No se pudieron cargar las variantes' } };
+  }
 
-    const priceById = new Map(products.map((p) => [p.id, Number(p.price)]));
+  const productById = new Map(products.map((p) => [String(p.id), p]));
+  const variantById = new Map(variants.map((v) => [String(v.id), v]));
+  const lineInfo = new Map();
 
-    const orderTotal = body.items.reduce((sum, item) => {
-      const price = priceById.get(item.productId);
-      return sum + (price || 0) * item.quantity;
-    }, 0);
+  for (const item of items) {
+    const product = productById.get(String(item.productId));
 
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .insert([
-        {
-          customer_id: req.user.id,
-          business_id: businessId,
-          total: orderTotal,
-          status: 'pending',
-          payment_method: body.payment?.type || null,
-          payment: body.payment || null,
-          delivery: body.delivery || null,
-          contact: body.contact || null,
-          notes: body.notes,
-        },
-      ])
-      .select()
-      .single();
+    if (!item.variantId) {
+      if (productsWithVariants.has(String(item.productId))) {
+        return {
+          status: 400,
+          body: { error: `Elige una variante de "${product.name}"`, code: 'variant_required', productId: item.productId },
+        };
+      }
+      lineInfo.set(lineKey(item), { price: Number(product.price) || 0, variantLabel: null, sku: null });
+      continue;
+    }
+
+    const variant = variantById.get(String(item.variantId));
+    if (!variant || String(variant.product_id) !== String(item.productId) || variant.is_active === false) {
+      return {
+        status: 400,
+        body: { error: 'La variante elegida no existe o ya no está disponible', code: 'variant_unavailable', productId: item.productId, variantId: item.variantId },
+      };
+    }
+    lineInfo.set(lineKey(item), {
+      price: variant.price === null || variant.price === undefined ? Number(product.price) || 0 : Number(variant.price),
+      variantLabel: variantLabel(variant.options, product.options || []) || null,
+      sku: variant.sku || null,
+    });
+  }
+
+  return { products, lineInfo };
+}
 
-    if (orderError) return res.status(400).json({ error: orderError.message });
+// Reserva el stock de todos los items (todo o nada). Devuelve null si reservó, o { status, body } con el error.
+async function reserveCartStock(items, products, lineInfo) {
+  let reservation;
+  try {
+    reservation = await reserveStock(items);
+  } catch (stockErr) {
+    return { status: 400, body: { error: stockErr?.message || 'No se pudo reservar el stock' } };
+  }
 
-    const itemsRows = body.items.map((i) => ({
+  if (reservation.ok) return null;
+
+  const nameById = new Map(products.map((p) => [String(p.id), p.name]));
+  return {
+    status: 409,
+    body: {
+      error: 'No hay stock suficiente para uno o más productos',
+      code: 'insufficient_stock',
+      items: reservation.shortages.map((sh) => ({
+        productId: sh.product_id,
+        variantId: sh.variant_id || null,
+        name: nameById.get(String(sh.product_id)) || null,
+        variantLabel: sh.variant_id
+          ? lineInfo.get(lineKey({ productId: sh.product_id, variantId: sh.variant_id }))?.variantLabel || null
+          : null,
+        requested: Number(sh.requested) || 0,
+        available: Math.max(0, Number(sh.available) || 0),
+      })),
+    },
+  };
+}
+
+async function releaseCartReservation(items) {
+  try {
+    await applyStockMovement(items, 'release');
+  } catch {
+    // best-effort
+  }
+}
+
+// Inserta una orden "pending" (con stock ya reservado) y sus items. Si fallan los items, borra la orden.
+// No libera la reserva: eso queda a cargo del caller, que sabe qué parte del carrito deshacer.
+async function insertOrderWithItems({ customerId, businessId, items, lineInfo, body, checkoutId = null }) {
+  const orderTotal = items.reduce((sum, item) => {
+    const price = lineInfo.get(lineKey(item))?.price;
+    return sum + (price || 0) * item.quantity;
+  }, 0);
+
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .insert([
+      {
+        customer_id: customerId,
+        business_id: businessId,
+        total: orderTotal,
+        status: 'pending',
+        stock_state: 'reserved',
+        ...(checkoutId ? { checkout_id: checkoutId } : {}),
+        payment_method: body.payment?.type || null,
+        payment: body.payment || null,
+        delivery: body.delivery || null,
+        contact: body.contact || null,
+        notes: body.notes,
+      },
+    ])
+    .select()
+    .single();
+
+  if (orderError) throw httpError(400, orderError.message);
+
+  const itemsRows = items.map((i) => {
+    const line = lineInfo.get(lineKey(i));
+    return {
       order_id: order.id,
       product_id: i.productId,
+      variant_id: i.variantId || null,
+      variant_label: line?.variantLabel || null,
+      sku: line?.sku || null,
       quantity: i.quantity,
-      price: priceById.get(i.productId) || 0,
-    }));
+      price: line?.price || 0,
+    };
+  });
 
-    const { error: itemsError } = await supabase.from('order_items').insert(itemsRows);
-    if (itemsError) return res.status(400).json({ error: itemsError.message });
+  const { error: itemsError } = await supabase.from('order_items').insert(itemsRows);
+  if (itemsError) {
+    await supabase.from('orders').delete().eq('id', order.id);
+    throw httpError(400, itemsError.message);
+  }
 
-    // Notificaciones (best-effort)
-    try {
-      const { data: biz } = await supabase
-        .from('businesses')
-        .select('id, owner_id, name')
-        .eq('id', businessId)
-        .single();
+  await recordOrderStatusEvent({ orderId: order.id, toStatus: 'pending', actorId: customerId, actorRole: 'customer' });
 
-      const notificationsToInsert = [];
+  return { order, total: orderTotal };
+}
 
-      if (biz?.owner_id) {
-        notificationsToInsert.push({
-          user_id: biz.owner_id,
-          title: 'Nuevo pedido recibido',
-          message: `Tienes un nuevo pedido pendiente${biz?.name ? ` en ${biz.name}` : ''}.`,
-          meta: { kind: 'order', action: 'new', orderId: order.id, businessId, url: `${FRONTEND_URL}/dashboard?tab=orders`, ctaLabel: 'Ver pedidos' },
-        });
-      }
+// Notificaciones de pedido nuevo (best-effort): al dueño del negocio y, si notifyCustomer, al cliente.
+async function notifyNewOrder({ order, businessId, customerId, notifyCustomer = true }) {
+  try {
+    const { data: biz } = await supabase
+      .from('businesses')
+      .select('id, owner_id, name')
+      .eq('id', businessId)
+      .single();
 
+    const notificationsToInsert = [];
+
+    if (biz?.owner_id) {
       notificationsToInsert.push({
-        user_id: req.user.id,
-        title: 'Pedido creado',
-        message: 'Tu pedido fue creado exitosamente. Puedes verlo en tus pedidos.',
-        meta: { kind: 'order', action: 'created', orderId: order.id, businessId, url: `${FRONTEND_URL}/profile?tab=orders`, ctaLabel: 'Ver pedido' },
+        user_id: biz.owner_id,
+        title: `Nuevo pedido recibido: ${orderLabel(order)}`,
+        message: `Tienes un nuevo pedido pendiente (${orderLabel(order)})${biz?.name ? ` en ${biz.name}` : ''}.`,
+        meta: { kind: 'order', action: 'new', orderId: order.id, orderNumber: order.order_number || null, businessId, url: `${FRONTEND_URL}/dashboard?tab=orders`, ctaLabel: 'Ver pedidos' },
       });
+    }
 
-      if (notificationsToInsert.length > 0) {
-        for (const n of notificationsToInsert) {
-          try {
-            await createNotification({ userId: n.user_id, title: n.title, message: n.message, meta: n.meta, createdAt: n.created_at });
-          } catch {
-            // best-effort
-          }
-        }
+    if (notifyCustomer) {
+      notificationsToInsert.push({
+        user_id: customerId,
+        title: `Pedido ${orderLabel(order)} creado`,
+        message: `Tu pedido ${orderLabel(order)} fue creado exitosamente. Puedes verlo en tus pedidos.`,
+        meta: { kind: 'order', action: 'created', orderId: order.id, orderNumber: order.order_number || null, businessId, url: `${FRONTEND_URL}/profile?tab=orders`, ctaLabel: 'Ver pedido' },
+      });
+    }
+
+    for (const n of notificationsToInsert) {
+      try {
+        await createNotification({ userId: n.user_id, title: n.title, message: n.message, meta: n.meta, createdAt: n.created_at });
+      } catch {
+        // best-effort
       }
-    } catch {
-      // silencioso
     }
 
+    return biz || null;
+  } catch {
+    // silencioso
+    return null;
+  }
+}
+
+router.post('/', requireAuth, idempotency, async (req, res, next) => {
+  try {
+    const body = createOrderSchema.parse(req.body);
+
+    const loaded = await loadCartProducts(body.items);
+    if (!loaded.products) return res.status(loaded.status).json(loaded.body);
+    const { products, lineInfo } = loaded;
+
+    const businessId = products[0].business_id;
+    const sameBusiness = products.every((p) => p.business_id === businessId);
+    if (!sameBusiness) return res.status(400).json({ error: 'Los items deben ser del mismo negocio' });
+
+    // Reservar stock antes de crear la orden (atómico: dos pedidos simultáneos no pueden tomar la misma unidad)
+    const stockError = await reserveCartStock(body.items, products, lineInfo);
+    if (stockError) return res.status(stockError.status).json(stockError.body);
+
+    let created;
+    try {
+      created = await insertOrderWithItems({ customerId: req.user.id, businessId, items: body.items, lineInfo, body });
+    } catch (insertErr) {
+      await releaseCartReservation(body.items);
+      if (!insertErr?.statusCode) throw insertErr;
+      return res.status(insertErr.statusCode).json({ error: insertErr.message });
+    }
+
+    const { order, total: orderTotal } = created;
+    await notifyNewOrder({ order, businessId, customerId: req.user.id });
+
     const { data: fullOrder, error: fetchErr } = await supabase
       .from('orders')
       .select('*, order_items(*)')
@@ -132,20 +318,98 @@ router.post('/', requireAuth, async (req, res, next) => {
       .single();
 
     if (fetchErr) {
-      return res.status(201).json({ orderId: order.id, total: orderTotal });
+      return res.status(201).json({ orderId: order.id, orderNumber: order.order_number || null, total: orderTotal });
     }
 
-    return res.status(201).json({ orderId: order.id, total: orderTotal, order: fullOrder });
+    return res.status(201).json({ orderId: order.id, orderNumber: order.order_number || null, total: orderTotal, order: fullOrder });
   } catch (err) {
     return next(err);
   }
 });
 
-router.get('/me', requireAuth, async (req, res, next) => {
+// Checkout de carrito mixto: crea una orden por negocio, todas agrupadas bajo el mismo checkout_id.
+// El stock de todo el carrito se reserva de una vez: si falta algo, no se crea ninguna orden.
+router.post('/checkout', requireAuth, idempotency, async (req, res, next) => {
   try {
-    const { data, error } = await supabase
+    const body = createOrderSchema.parse(req.body);
+
+    const loaded = await loadCartProducts(body.items);
+    if (!loaded.products) return res.status(loaded.status).json(loaded.body);
+    const { products, lineInfo } = loaded;
+
+    const businessIdByProduct = new Map(products.map((p) => [p.id, p.business_id]));
+
+    // Agrupar items por negocio (respetando el orden en que aparecen en el carrito)
+    const itemsByBusiness = new Map();
+    for (const item of body.items) {
+      const businessId = businessIdByProduct.get(item.productId);
+      const list = itemsByBusiness.get(businessId) || [];
+      list.push(item);
+      itemsByBusiness.set(businessId, list);
+    }
+
+    const stockError = await reserveCartStock(body.items, products, lineInfo);
+    if (stockError) return res.status(stockError.status).json(stockError.body);
+
+    const checkoutId = randomUUID();
+    const createdOrders = [];
+    try {
+      for (const [businessId, items] of itemsByBusiness) {
+        const created = await insertOrderWithItems({ customerId: req.user.id, businessId, items, lineInfo, body, checkoutId });
+        createdOrders.push({ ...created, businessId });
+      }
+    } catch (insertErr) {
+      // Deshacer las órdenes ya creadas y liberar la reserva completa del carrito
+      const ids = createdOrders.map((c) => c.order.id);
+      if (ids.length > 0) {
+        await supabase.from('order_items').delete().in('order_id', ids);
+        await supabase.from('orders').delete().in('id', ids);
+      }
+      await releaseCartReservation(body.items);
+      if (!insertErr?.statusCode) throw insertErr;
+      return res.status(insertErr.statusCode).json({ error: insertErr.message });
+    }
+
+    const summaries = [];
+    for (const { order, total, businessId } of createdOrders) {
+      const biz = await notifyNewOrder({ order, businessId, customerId: req.user.id, notifyCustomer: false });
+      summaries.push({ orderId: order.id, orderNumber: order.order_number || null, businessId, businessName: biz?.name || null, total });
+    }
+
+    const combinedTotal = summaries.reduce((sum, o) => sum + o.total, 0);
+
+    try {
+      await createNotification({
+        userId: req.user.id,
+        title: summaries.length === 1 ? `Pedido ${orderLabel(createdOrders[0].order)} creado` : 'Pedidos creados',
+        message: summaries.length === 1
+          ? `Tu pedido ${orderLabel(createdOrders[0].order)} fue creado exitosamente. Puedes verlo en tus pedidos.`
+          : `Se crearon ${summaries.length} pedidos (uno por negocio): ${createdOrders.map((c) => orderLabel(c.order)).join(', ')}. Puedes verlos en tus pedidos.`,
+        meta: { kind: 'order', action: 'created', checkoutId, orderIds: summaries.map((o) => o.orderId), orderNumbers: summaries.map((o) => o.orderNumber), url: `${FRONTEND_URL}/profile?tab=orders`, ctaLabel: 'Ver pedidos' },
+      });
+    } catch {
+      // best-effort
+    }
+
+    const { data: fullOrders } = await supabase
       .from('orders')
       .select('*, order_items(*)')
+      .eq('checkout_id', checkoutId);
+
+    const fullById = new Map((fullOrders || []).map((o) => [o.id, o]));
+    return res.status(201).json({
+      checkoutId,
+      total: combinedTotal,
+      orders: summaries.map((o) => ({ ...o, order: fullById.get(o.orderId) || null })),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.get('/me', requireAuth, async (req, res, next) => {
+  try {
+    const { data, error } = await selectOrdersQuery({ includeTimeline: wantsTimeline(req) })
       .eq('customer_id', req.user.id)
       .order('created_at', { ascending: false });
 
@@ -173,9 +437,7 @@ router.get('/business/:businessId', requireAuth, requireRole(['entrepreneur', 'a
       return res.status(403).json({ error: 'No autorizado' });
     }
 
-    const { data, error } = await supabase
-      .from('orders')
-      .select('*, order_items(*)')
+    const { data, error } = await selectOrdersQuery({ includeTimeline: wantsTimeline(req) })
       .eq('business_id', businessId)
       .order('created_at', { ascending: false });
 
@@ -190,48 +452,78 @@ router.get('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const { data: order, error } = await supabase
-      .from('orders')
-      .select('*, order_items(*)')
-      .eq('id', id)
+    // :id acepta el UUID o el número de pedido (p.ej. CAFE-00042)
+    const { data: order, error } = await whereOrderKey(selectOrdersQuery({ includeTimeline: wantsTimeline(req) }), id)
       .single();
 
     if (error || !order) return res.status(404).json({ error: 'Orden no encontrada' });
 
-    const role = String(req.profile?.role || '').toLowerCase();
-    const isAdmin = role === 'admin';
-    const isEntrepreneur = role === 'entrepreneur';
+    // Cliente: su propia orden. Emprendedor: órdenes de su negocio. Admin: todas.
+    const access = await resolveOrderAccess(req.user.id, order);
+    if (!access) return res.status(403).json({ error: 'No autorizado' });
 
-    if (!isAdmin) {
-      // Cliente: puede ver su propia orden
-      if (!isEntrepreneur && String(order.customer_id) === String(req.user.id)) {
-        return res.json({ order });
-      }
+    return res.json({ order });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-      // Emprendedor: puede ver órdenes de su negocio (si es dueño)
-      if (isEntrepreneur && order.business_id) {
-        const { data: biz } = await supabase
-          .from('businesses')
-          .select('id, owner_id')
-          .eq('id', order.business_id)
-          .single();
+// Historial de estados de la orden (mismas reglas de acceso que GET /:id)
+router.get('/:id/timeline', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-        if (biz?.owner_id && String(biz.owner_id) === String(req.user.id)) {
-          return res.json({ order });
-        }
-      }
+    const { data: order, error } = await whereOrderKey(
+      supabase.from('orders').select('id, order_number, business_id, customer_id, status'),
+      id,
+    ).single();
 
-      return res.status(403).json({ error: 'No autorizado' });
+    if (error || !order) return res.status(404).json({ error: 'Orden no encontrada' });
+
+    const access = await resolveOrderAccess(req.user.id, order);
+    if (!access) return res.status(403).json({ error: 'No autorizado' });
+
+    const timeline = await getOrderTimeline(order.id);
+    return res.json({ orderId: order.id, orderNumber: order.order_number || null, status: order.status, timeline });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Factura/comprobante en PDF (solo pedidos entregados; mismas reglas de acceso que GET /:id)
+router.get('/:id/invoice.pdf', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: order, error } = await whereOrderKey(
+      supabase.from('orders').select('id, order_number, business_id, customer_id, status'),
+      id,
+    ).single();
+
+    if (error || !order) return res.status(404).json({ error: 'Orden no encontrada' });
+
+    const access = await resolveOrderAccess(req.user.id, order);
+    if (!access) return res.status(403).json({ error: 'No autorizado' });
+
+    if (String(order.status).toLowerCase() !== 'delivered') {
+      return res.status(409).json({ error: 'La factura está disponible cuando el pedido se entrega', code: 'order_not_delivered' });
     }
 
-    return res.json({ order });
+    const built = await buildInvoicePdf(order.id);
+    if (!built) return res.status(404).json({ error: 'Orden no encontrada' });
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${built.filename}"`);
+    res.set('Cache-Control', 'private, no-store');
+    return res.send(built.pdf);
   } catch (err) {
     return next(err);
   }
 });
 
 const statusSchema = z.object({
-  status: z.enum(['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled']),
+  status: z.enum(ORDER_STATUSES),
+  note: z.string().trim().max(500).optional(),
 });
 
 router.patch('/:id/status', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
@@ -239,11 +531,10 @@ router.patch('/:id/status', requireAuth, requireRole(['entrepreneur', 'admin']),
     const { id } = req.params;
     const body = statusSchema.parse(req.body);
 
-    const { data: order, error: findErr } = await supabase
-      .from('orders')
-      .select('id, business_id, customer_id, status')
-      .eq('id', id)
-      .single();
+    const { data: order, error: findErr } = await whereOrderKey(
+      supabase.from('orders').select('id, order_number, business_id, customer_id, status, stock_state'),
+      id,
+    ).single();
 
     if (findErr || !order) return res.status(404).json({ error: 'Orden no encontrada' });
 
@@ -258,103 +549,34 @@ router.patch('/:id/status', requireAuth, requireRole(['entrepreneur', 'admin']),
 
     const prevStatus = String(order?.status || '').toLowerCase();
     const nextStatus = String(body.status || '').toLowerCase();
-
-    // Disminuir stock cuando pasa a delivered por primera vez.
-    // Nota: lo hacemos ANTES de actualizar la orden para evitar que quede entregada sin ajustar inventario.
-    // Si luego falla el update de la orden, intentamos rollback best-effort.
-    let stockAdjustments = null;
-    if (prevStatus !== 'delivered' && nextStatus === 'delivered') {
-      const { data: items, error: itemsErr } = await supabase
-        .from('order_items')
-        .select('product_id, quantity')
-        .eq('order_id', id);
-
-      if (itemsErr) return res.status(400).json({ error: itemsErr.message });
-
-      const itemRows = Array.isArray(items) ? items : [];
-      const productIds = itemRows.map((it) => it?.product_id).filter(Boolean);
-
-      if (productIds.length > 0) {
-        const { data: prods, error: prodsErr } = await supabase
-          .from('products')
-          .select('id, stock')
-          .in('id', productIds);
-
-        if (prodsErr) return res.status(400).json({ error: prodsErr.message });
-
-        const stockById = new Map((Array.isArray(prods) ? prods : []).map((p) => [String(p.id), Number(p.stock) || 0]));
-        stockAdjustments = itemRows.map((it) => {
-          const pid = String(it.product_id);
-          const currentStock = stockById.has(pid) ? stockById.get(pid) : 0;
-          const qty = Number(it.quantity) || 0;
-          const nextStock = Math.max(0, currentStock - qty);
-          return { productId: pid, prevStock: currentStock, nextStock };
-        });
-
-        // Aplicar updates (secuencial para simplificar manejo de errores)
-        for (const adj of stockAdjustments) {
-          const { error: updErr } = await supabase
-            .from('products')
-            .update({ stock: adj.nextStock })
-            .eq('id', adj.productId);
-
-          if (updErr) return res.status(400).json({ error: updErr.message });
-        }
-      }
-    }
-
-    const patch = { status: body.status };
-    // Guardar fecha exacta de entrega/emisión de factura cuando pasa a "delivered" por primera vez.
-    // Si la columna no existe en BD aún, hacemos fallback sin romper el endpoint.
-    if (prevStatus !== 'delivered' && nextStatus === 'delivered') {
-      patch.delivered_at = new Date().toISOString();
+    const actorRole = isAdmin ? 'admin' : 'entrepreneur';
+
+    if (!canTransition(prevStatus, nextStatus, actorRole)) {
+      return res.status(409).json({
+        error: `No se puede cambiar el pedido de "${prevStatus}" a "${nextStatus}"`,
+        code: 'invalid_status_transition',
+        from: prevStatus,
+        to: nextStatus,
+        allowed: getAllowedTransitions(prevStatus, actorRole),
+      });
     }
 
-    const rollbackStock = async () => {
-      if (!Array.isArray(stockAdjustments) || stockAdjustments.length === 0) return;
-      for (const adj of stockAdjustments) {
-        try {
-          await supabase
-            .from('products')
-            .update({ stock: adj.prevStock })
-            .eq('id', adj.productId);
-        } catch {
-          // best-effort
-        }
-      }
-    };
-
+    // Inventario según el grafo: entregar consume la reserva; cancelar la libera; salir de "delivered" repone stock.
     let updatedOrder;
-    {
-      const { data, error } = await supabase
-        .from('orders')
-        .update(patch)
-        .eq('id', id)
-        .select()
-        .single();
-
-      if (error) {
-        // Fallback si delivered_at no existe (o no se puede setear por permisos).
-        if (patch.delivered_at) {
-          const { data: data2, error: error2 } = await supabase
-            .from('orders')
-            .update({ status: body.status })
-            .eq('id', id)
-            .select()
-            .single();
-
-          if (error2) {
-            await rollbackStock();
-            return res.status(400).json({ error: error2.message });
-          }
-          updatedOrder = data2;
-        } else {
-          await rollbackStock();
-          return res.status(400).json({ error: error.message });
-        }
-      } else {
-        updatedOrder = data;
-      }
+    try {
+      updatedOrder = await transitionOrderStatus({
+        order,
+        toStatus: nextStatus,
+        actorId: req.user.id,
+        actorRole,
+        note: body.note,
+      });
+    } catch (transitionErr) {
+      if (!transitionErr?.statusCode) throw transitionErr;
+      return res.status(transitionErr.statusCode).json({
+        error: transitionErr.message,
+        ...(transitionErr.code ? { code: transitionErr.code } : {}),
+      });
     }
 
     // Notificar al cliente del cambio de estado (best-effort)
@@ -362,29 +584,98 @@ router.patch('/:id/status', requireAuth, requireRole(['entrepreneur', 'admin']),
       if (order?.customer_id) {
         await createNotification({
           userId: order.customer_id,
-          title: 'Estado de tu pedido actualizado',
-          message: `Tu pedido ahora está: ${body.status}`,
-          meta: { kind: 'order', action: 'status', orderId: id, status: body.status, url: `${FRONTEND_URL}/profile?tab=orders`, ctaLabel: 'Ver pedido' },
+          title: `Estado de tu pedido ${orderLabel(order)} actualizado`,
+          message: `Tu pedido ${orderLabel(order)} ahora está: ${nextStatus}`,
+          meta: { kind: 'order', action: 'status', orderId: order.id, orderNumber: order.order_number || null, status: nextStatus, url: `${FRONTEND_URL}/profile?tab=orders`, ctaLabel: 'Ver pedido' },
         });
       }
     } catch {
       // silencioso
     }
 
-    // Incrementar ventas del negocio cuando el pedido se entrega por primera vez (best-effort)
+    // Emitir la factura y enviarla por correo al cliente (en background, no bloquea la respuesta)
+    if (nextStatus === 'delivered') {
+      void sendInvoiceEmail(order.id).then((mailRes) => {
+        if (!mailRes?.ok) {
+          // eslint-disable-next-line no-console
+          console.warn('[invoice] email not sent', { orderId: order.id, error: mailRes?.error });
+        }
+      });
+    }
+
+    return res.json({ order: updatedOrder });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Cancelación por parte del cliente: solo mientras el grafo lo permita al rol "customer"
+// (pending/confirmed). La orden queda "cancelled" (no se borra) y se avisa al negocio.
+const cancelSchema = z.object({
+  reason: z.string().trim().min(3).max(500),
+});
+
+router.post('/:id/cancel', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const body = cancelSchema.parse(req.body);
+
+    const { data: order, error: findErr } = await whereOrderKey(
+      supabase.from('orders').select('id, order_number, business_id, customer_id, status, stock_state'),
+      id,
+    ).single();
+
+    if (findErr || !order) return res.status(404).json({ error: 'Orden no encontrada' });
+    if (String(order.customer_id) !== String(req.user.id)) return res.status(403).json({ error: 'No autorizado' });
+
+    const prevStatus = String(order.status || '').toLowerCase();
+    if (!canTransition(prevStatus, 'cancelled', 'customer')) {
+      return res.status(409).json({
+        error: 'Este pedido ya no se puede cancelar. Contacta al negocio.',
+        code: 'cancellation_window_closed',
+        from: prevStatus,
+        to: 'cancelled',
+        allowed: getAllowedTransitions(prevStatus, 'customer'),
+      });
+    }
+
+    let updatedOrder;
+    try {
+      updatedOrder = await transitionOrderStatus({
+        order,
+        toStatus: 'cancelled',
+        actorId: req.user.id,
+        actorRole: 'customer',
+        note: body.reason,
+        extraPatch: {
+          cancellation_reason: body.reason,
+          cancelled_by: req.user.id,
+          cancelled_at: new Date().toISOString(),
+        },
+      });
+    } catch (transitionErr) {
+      if (!transitionErr?.statusCode) throw transitionErr;
+      return res.status(transitionErr.statusCode).json({
+        error: transitionErr.message,
+        ...(transitionErr.code ? { code: transitionErr.code } : {}),
+      });
+    }
+
+    // Notificar al dueño del negocio (best-effort)
     try {
-      if (prevStatus !== 'delivered' && nextStatus === 'delivered' && order?.business_id) {
-        const { data: biz } = await supabase
-          .from('businesses')
-          .select('id, total_sales')
-          .eq('id', order.business_id)
-          .single();
-
-        const currentSales = typeof biz?.total_sales === 'number' ? biz.total_sales : Number(biz?.total_sales) || 0;
-        await supabase
-          .from('businesses')
-          .update({ total_sales: currentSales + 1 })
-          .eq('id', order.business_id);
+      const { data: biz } = await supabase
+        .from('businesses')
+        .select('id, owner_id, name')
+        .eq('id', order.business_id)
+        .single();
+
+      if (biz?.owner_id) {
+        await createNotification({
+          userId: biz.owner_id,
+          title: `Pedido ${orderLabel(order)} cancelado por el cliente`,
+          message: `Un cliente canceló su pedido ${orderLabel(order)}${biz?.name ? ` en ${biz.name}` : ''}. Motivo: ${body.reason}`,
+          meta: { kind: 'order', action: 'cancelled', orderId: order.id, orderNumber: order.order_number || null, businessId: order.business_id, status: 'cancelled', url: `${FRONTEND_URL}/dashboard?tab=orders`, ctaLabel: 'Ver pedidos' },
+        });
       }
     } catch {
       // silencioso
@@ -396,31 +687,21 @@ router.patch('/:id/status', requireAuth, requireRole(['entrepreneur', 'admin']),
   }
 });
 
-router.delete('/:id', requireAuth, async (req, res, next) => {
+// Borrado definitivo (solo admin). Los clientes cancelan con POST /:id/cancel.
+router.delete('/:id', requireAuth, requireRole(['admin']), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const { data: order, error: findErr } = await supabase
-      .from('orders')
-      .select('id, customer_id')
-      .eq('id', id)
-      .single();
+    const { data: order, error: findErr } = await whereOrderKey(supabase.from('orders').select('id'), id).single();
 
     if (findErr || !order) return res.status(404).json({ error: 'Orden no encontrada' });
 
-    // Solo el dueño (cliente) o admin
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', req.user.id)
-      .single();
-
-    const isAdmin = profile?.role === 'admin';
-    if (!isAdmin && order.customer_id !== req.user.id) return res.status(403).json({ error: 'No autorizado' });
+    // Si la orden aún retenía stock, liberarlo antes de borrarla
+    await releaseReservationsForOrders([order.id]);
 
-    await supabase.from('order_items').delete().eq('order_id', id);
+    await supabase.from('order_items').delete().eq('order_id', order.id);
 
-    const { error } = await supabase.from('orders').delete().eq('id', id);
+    const { error } = await supabase.from('orders').delete().eq('id', order.id);
     if (error) return res.status(400).json({ error: error.message });
 
     return res.json({ message: 'Orden eliminada' });
@@ -1,50 +1,268 @@
 import { Router } from 'express';
+import multer from 'multer';
 import { z } from 'zod';
 import { supabase } from '../config/supabase.js';
 import { requireAuth, requireRole } from '../middlewares/auth.js';
-import { parseDataUrl, guessFileExtFromMime } from '../utils/dataUrl.js';
-import { randomUUID } from 'crypto';
+import { idempotency } from '../middlewares/idempotency.js';
+import { multipartImages, uploadedFiles } from '../middlewares/multipartImages.js';
+import {
+  uploadDataUrlToStorage,
+  uploadImageFiles,
+  withProductImageSets,
+  withBusinessImageSets,
+} from '../imageUploadService.js';
 import { notifyAdmins } from '../utils/notifyAdmins.js';
+import { searchProducts, SEARCH_QUERY_MAX_LENGTH } from '../productSearchService.js';
+import {
+  MAX_VARIANTS_PER_PRODUCT,
+  validateOptionGroups,
+  validateVariantOptions,
+  serializeVariant,
+  getProductVariants,
+  getVariantMatrix,
+  toVariantRow,
+  variantWriteError,
+  insertVariants,
+} from '../productVariantService.js';
+import {
+  MAX_REVIEW_PHOTOS,
+  REVIEW_SORTS,
+  findDeliveredPurchase,
+  getProductRatingSummary,
+  refreshProductRating,
+  listProductReviews,
+  getReview,
+  getUserReview,
+  withAuthor,
+} from '../productReviewService.js';
+import { createNotification } from '../utils/createNotification.js';
+import {
+  MAX_IMPORT_ROWS,
+  planProductImport,
+  applyProductImport,
+  summarizeImport,
+  exportBusinessProductsCsv,
+} from '../productCsvService.js';
+import { paginationSchema, pageRange, isRangeNotSatisfiable, setPaginationHeaders } from '../utils/pagination.js';
 
 const router = Router();
 
-async function uploadDataUrlToStorage({ bucket, folder, dataUrl }) {
-  const parsed = parseDataUrl(dataUrl);
-  if (!parsed) return null;
+// Orden del catálogo (id como desempate para que la paginación sea estable)
+const PRODUCT_SORTS = {
+  newest: [['created_at', false]],
+  price_asc: [['price', true]],
+  price_desc: [['price', false]],
+  rating: [['rating', false], ['rating_count', false]],
+  best_selling: [['sold_count', false]],
+};
 
-  const ext = guessFileExtFromMime(parsed.mimeType);
-  const filePath = `${folder}/${Date.now()}_${randomUUID()}.${ext}`;
+const listProductsQuerySchema = z.object({
+  ...paginationSchema,
+  // "relevance" solo aplica cuando hay búsqueda; es el orden por defecto en ese caso
+  sort: z.enum([...Object.keys(PRODUCT_SORTS), 'relevance']).optional(),
+  category: z.string().trim().min(1).optional(),
+  search: z.string().trim().min(1).max(SEARCH_QUERY_MAX_LENGTH).optional(),
+  minPrice: z.coerce.number().nonnegative().optional(),
+  maxPrice: z.coerce.number().nonnegative().optional(),
+  featured: z.enum(['true', 'false']).optional(),
+  // uuid tanto en el listado como en la búsqueda (la RPC no acepta otro formato)
+  businessId: z.guid().optional(),
+  inStock: z.enum(['true', 'false']).optional(),
+});
+
+function buildProductsQuery(filters, selectOptions) {
+  let query = supabase.from('products').select('*', selectOptions);
 
-  const { error: uploadError } = await supabase.storage
-    .from(bucket)
-    .upload(filePath, parsed.buffer, { contentType: parsed.mimeType });
+  if (filters.category) query = query.eq('category', filters.category);
+  if (filters.featured === 'true') query = query.eq('featured', true);
+  if (filters.businessId) query = query.eq('business_id', filters.businessId);
+  // Disponible = stock - reserved_stock (columna generada available_stock)
+  if (filters.inStock === 'true') query = query.gt('available_stock', 0);
 
-  if (uploadError) throw uploadError;
+  if (filters.minPrice !== undefined) query = query.gte('price', filters.minPrice);
+  if (filters.maxPrice !== undefined) query = query.lte('price', filters.maxPrice);
 
-  const { data } = supabase.storage.from(bucket).getPublicUrl(filePath);
-  return data.publicUrl;
+  return query;
 }
 
+async function respondWithSearch(res, filters) {
+  const { items, total } = await searchProducts({
+    query: filters.query,
+    category: filters.category,
+    businessId: filters.businessId,
+    minPrice: filters.minPrice,
+    maxPrice: filters.maxPrice,
+    featured: filters.featured === 'true' ? true : null,
+    inStock: filters.inStock === 'true',
+    sort: filters.sort || 'relevance',
+    page: filters.page,
+    limit: filters.limit,
+  });
+  setPaginationHeaders(res, { page: filters.page, limit: filters.limit, total });
+  return res.json(items.map(withProductImageSets));
+}
+
+// Listado paginado: ?page&limit&sort + filtros. Total en X-Total-Count (ver utils/pagination.js).
 router.get('/', async (req, res, next) => {
   try {
-    const { category, search, minPrice, maxPrice, featured } = req.query;
+    const parsed = listProductsQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Parámetros de búsqueda inválidos', code: 'invalid_query' });
+    }
+    const filters = parsed.data;
 
-    let query = supabase.from('products').select('*');
+    // Con texto de búsqueda se usa el índice full-text (mismos filtros y paginación)
+    if (filters.search) return await respondWithSearch(res, { ...filters, query: filters.search });
 
-    if (category) query = query.eq('category', String(category));
-    if (featured === 'true') query = query.eq('featured', true);
+    const { from, to } = pageRange(filters);
+    const sort = PRODUCT_SORTS[filters.sort] || PRODUCT_SORTS.newest;
 
-    if (search) {
-      query = query.or(`name.ilike.%${String(search)}%,description.ilike.%${String(search)}%`);
+    let query = buildProductsQuery(filters, { count: 'exact' });
+    for (const [column, ascending] of sort) {
+      query = query.order(column, { ascending, nullsFirst: false });
     }
+    query = query.order('id', { ascending: true }).range(from, to);
 
-    if (minPrice) query = query.gte('price', Number(minPrice));
-    if (maxPrice) query = query.lte('price', Number(maxPrice));
+    const { data, count, error } = await query;
 
-    const { data, error } = await query;
+    if (isRangeNotSatisfiable(error)) {
+      const { count: total } = await buildProductsQuery(filters, { count: 'exact', head: true });
+      setPaginationHeaders(res, { page: filters.page, limit: filters.limit, total });
+      return res.json([]);
+    }
     if (error) return res.status(400).json({ error: error.message });
 
-    return res.json(data);
+    setPaginationHeaders(res, { page: filters.page, limit: filters.limit, total: count });
+    return res.json((data || []).map(withProductImageSets));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+const searchProductsQuerySchema = listProductsQuerySchema.omit({ search: true }).extend({
+  q: z.string().trim().min(1).max(SEARCH_QUERY_MAX_LENGTH),
+});
+
+// Búsqueda con ranking: ?q=texto + los mismos filtros/paginación que GET /.
+// Cada resultado incluye searchRank y highlight { name, description }.
+router.get('/search', async (req, res, next) => {
+  try {
+    const parsed = searchProductsQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Parámetros de búsqueda inválidos', code: 'invalid_query' });
+    }
+    return await respondWithSearch(res, { ...parsed.data, query: parsed.data.q });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// --- Importación / exportación CSV ---
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+  fileFilter(req, file, cb) {
+    const isCsv = /\.csv$/iu.test(file.originalname || '')
+      || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+    cb(isCsv ? null : new Error('El archivo debe ser CSV'), isCsv);
+  },
+});
+
+// Errores de multer (tamaño, tipo) como 400 en vez de 500
+const uploadCsvFile = (req, res, next) => csvUpload.single('file')(req, res, (err) => {
+  if (err) return res.status(400).json({ error: err.message || 'Archivo inválido', code: 'invalid_upload' });
+  return next();
+});
+
+const importQuerySchema = z.object({
+  businessId: z.string().min(1),
+  mode: z.enum(['create', 'upsert']).default('create'),
+  dryRun: z.enum(['true', 'false']).default('false'),
+});
+
+// Negocio del emprendedor (o cualquiera si es admin). Devuelve { business } o { status, body }.
+async function findManagedBusiness(req, businessId) {
+  const { data: business, error } = await supabase
+    .from('businesses')
+    .select('id, owner_id, name')
+    .eq('id', businessId)
+    .single();
+  if (error || !business) return { status: 404, body: { error: 'Negocio no encontrado' } };
+
+  const isAdmin = req.profile?.role === 'admin';
+  if (!isAdmin && business.owner_id !== req.user.id) return { status: 403, body: { error: 'No eres dueño del negocio' } };
+  return { business };
+}
+
+// POST /import?businessId=...&mode=create|upsert&dryRun=true (multipart, campo "file").
+// Valida cada fila con createProductSchema y devuelve el resultado por fila; con dryRun no escribe nada.
+router.post('/import', requireAuth, requireRole(['entrepreneur']), uploadCsvFile, async (req, res, next) => {
+  try {
+    const parsedQuery = importQuerySchema.safeParse({ ...req.query, ...req.body });
+    if (!parsedQuery.success) {
+      return res.status(400).json({ error: 'Parámetros inválidos', code: 'invalid_query' });
+    }
+    const { businessId, mode } = parsedQuery.data;
+    const dryRun = parsedQuery.data.dryRun === 'true';
+
+    if (!req.file?.buffer) return res.status(400).json({ error: 'Adjunta el archivo CSV en el campo "file"', code: 'missing_file' });
+
+    const found = await findManagedBusiness(req, businessId);
+    if (!found.business) return res.status(found.status).json(found.body);
+
+    // Requisitos de publicación: una sola vez por importación
+    const missingRequirements = await checkPublishingRequirements(req.user.id);
+    if (missingRequirements) return res.status(missingRequirements.status).json(missingRequirements.body);
+
+    const plan = await planProductImport({
+      csv: req.file.buffer.toString('utf8'),
+      businessId,
+      schema: createProductSchema,
+      mode,
+    });
+    if (plan.error) {
+      return res.status(400).json({ error: plan.error, ...(plan.code ? { code: plan.code } : {}), maxRows: MAX_IMPORT_ROWS });
+    }
+
+    if (!dryRun) await applyProductImport({ rows: plan.rows, businessId });
+    const result = summarizeImport(plan.rows, { dryRun });
+
+    if (!dryRun && result.summary.created + result.summary.updated > 0) {
+      await notifyAdmins({
+        title: 'Importación de productos',
+        message: `"${found.business.name}" importó ${result.summary.created} productos nuevos y actualizó ${result.summary.updated}.`,
+        meta: { kind: 'product', action: 'imported', businessId, ownerUserId: req.user.id, ...result.summary },
+      });
+    }
+
+    return res.status(dryRun ? 200 : 201).json({ mode, ...result });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /export?businessId=... -> catálogo del negocio en CSV (mismas columnas que la importación)
+router.get('/export', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+  try {
+    const businessId = String(req.query?.businessId || '');
+    if (!businessId) return res.status(400).json({ error: 'businessId es requerido' });
+
+    const found = await findManagedBusiness(req, businessId);
+    if (!found.business) return res.status(found.status).json(found.body);
+
+    const csv = await exportBusinessProductsCsv(businessId);
+    const slug = String(found.business.name || 'catalogo')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/gu, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/gu, '-')
+      .replace(/^-|-$/gu, '') || 'catalogo';
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="productos-${slug}.csv"`);
+    res.set('Cache-Control', 'private, no-store');
+    return res.send(csv);
   } catch (err) {
     return next(err);
   }
@@ -68,17 +286,407 @@ router.get('/:id', async (req, res, next) => {
       .eq('id', product.business_id)
       .single();
 
+    // Matriz de variantes (grupos de opciones + combinaciones activas) y resumen de reseñas
+    const [matrix, ratingSummary] = await Promise.all([
+      getVariantMatrix(product),
+      getProductRatingSummary(product.id).catch(() => null),
+    ]);
+
     return res.json({
-      ...product,
-      business: business || null,
+      ...withProductImageSets(product),
+      options: matrix.options,
+      variants: matrix.variants,
+      hasVariants: matrix.variants.length > 0,
+      ratingSummary,
+      business: business ? withBusinessImageSets(business) : null,
     });
   } catch (err) {
     return next(err);
   }
 });
 
+// --- Reseñas ---
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const listReviewsQuerySchema = z.object({
+  ...paginationSchema,
+  sort: z.enum(Object.keys(REVIEW_SORTS)).default('newest'),
+  rating: z.coerce.number().int().min(1).max(5).optional(),
+});
+
+const upsertReviewSchema = z
+  .object({
+    rating: z.coerce.number().int().min(1).max(5),
+    comment: z.string().trim().max(2000).optional(),
+    // data URLs (se suben) o URLs ya subidas a product-images/reviews; máximo MAX_REVIEW_PHOTOS
+    photos: z.array(z.string().min(1)).max(MAX_REVIEW_PHOTOS).optional(),
+  })
+  .strict();
+
+const reviewReplySchema = z.object({
+  reply: z.string().trim().min(1).max(1000),
+});
+
+router.get('/:id/reviews', async (req, res, next) => {
+  try {
+    const parsed = listReviewsQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Parámetros inválidos', code: 'invalid_query' });
+    }
+    const { page, limit, sort, rating } = parsed.data;
+    const { from, to } = pageRange({ page, limit });
+
+    const result = await listProductReviews({ productId: req.params.id, sort, rating, from, to });
+    if (result.error) return res.status(400).json({ error: result.error.message });
+
+    setPaginationHeaders(res, { page, limit, total: result.total });
+    return res.json(result.items);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Reseña propia + si el usuario puede reseñar (tiene una compra entregada)
+router.get('/:id/reviews/me', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const [review, purchaseOrderId] = await Promise.all([
+      getUserReview({ userId: req.user.id, productId: id }),
+      findDeliveredPurchase({ userId: req.user.id, productId: id }),
+    ]);
+    return res.json({ review: await withAuthor(review), canReview: Boolean(purchaseOrderId) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Crea o edita la reseña propia. Requiere un pedido entregado con el producto.
+router.post('/:id/reviews', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const body = upsertReviewSchema.parse(req.body);
+
+    const { data: product, error: productErr } = await supabase
+      .from('products')
+      .select('id, name, business_id')
+      .eq('id', id)
+      .single();
+    if (productErr || !product) return res.status(404).json({ error: 'Producto no encontrado' });
+
+    const { data: biz } = await supabase
+      .from('businesses')
+      .select('id, owner_id, name')
+      .eq('id', product.business_id)
+      .single();
+    if (biz?.owner_id === req.user.id) return res.status(403).json({ error: 'No puedes reseñar tus propios productos' });
+
+    const purchaseOrderId = await findDeliveredPurchase({ userId: req.user.id, productId: id });
+    if (!purchaseOrderId) {
+      return res.status(403).json({
+        error: 'Solo puedes reseñar productos de pedidos que ya recibiste',
+        code: 'review_requires_purchase',
+      });
+    }
+
+    const existing = await getUserReview({ userId: req.user.id, productId: id });
+
+    // Solo fotos subidas: data URLs nuevas o las que ya tenía la reseña de este usuario (sin enlaces
+    // externos ni fotos de reseñas ajenas). Se valida antes de subir nada.
+    const isAcceptedPhoto = (photo) => photo.startsWith('data:')
+      || (Array.isArray(existing?.photos) && existing.photos.includes(photo));
+    if (body.photos && !body.photos.every(isAcceptedPhoto)) {
+      return res.status(400).json({ error: 'Las fotos deben subirse como imagen', code: 'invalid_review_photo' });
+    }
+
+    let photos;
+    if (body.photos) {
+      photos = [];
+      for (const photo of body.photos) {
+        if (photo.startsWith('data:')) {
+          const url = await uploadDataUrlToStorage({ bucket: 'product-images', folder: 'reviews', dataUrl: photo });
+          if (url) photos.push(url);
+        } else {
+          photos.push(photo);
+        }
+      }
+    }
+
+    const now = new Date().toISOString();
+    const { data: row, error } = await supabase
+      .from('product_reviews')
+      .upsert(
+        {
+          product_id: id,
+          business_id: product.business_id,
+          user_id: req.user.id,
+          order_id: purchaseOrderId,
+          rating: body.rating,
+          comment: body.comment || null,
+          ...(photos ? { photos } : {}),
+          verified_purchase: true,
+          updated_at: now,
+        },
+        { onConflict: 'product_id,user_id' },
+      )
+      .select()
+      .single();
+
+    if (error) return res.status(400).json({ error: error.message });
+
+    const summary = await refreshProductRating(id);
+
+    // Avisar al dueño del negocio solo de reseñas nuevas (best-effort)
+    if (!existing && biz?.owner_id) {
+      try {
+        await createNotification({
+          userId: biz.owner_id,
+          title: 'Nueva reseña de producto',
+          message: `"${product.name}" recibió una reseña de ${body.rating} estrella${body.rating === 1 ? '' : 's'}.`,
+          meta: { kind: 'review', action: 'created', productId: id, reviewId: row.id, businessId: product.business_id, url: `${FRONTEND_URL}/product/${id}`, ctaLabel: 'Ver reseña' },
+        });
+      } catch {
+        // silencioso
+      }
+    }
+
+    return res.status(existing ? 200 : 201).json({ review: await withAuthor(row), summary });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.delete('/:id/reviews/me', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .delete()
+      .eq('product_id', id)
+      .eq('user_id', req.user.id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Reseña no encontrada' });
+
+    const summary = await refreshProductRating(id);
+    return res.json({ message: 'Reseña eliminada', summary });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Respuesta pública del negocio (una por reseña; volver a enviar la reemplaza)
+router.put('/:id/reviews/:reviewId/reply', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+  try {
+    const body = reviewReplySchema.parse(req.body);
+
+    const found = await findManagedProduct(req, req.params.id);
+    if (!found.product) return res.status(found.status).json(found.body);
+
+    const review = await getReview(req.params.reviewId);
+    if (!review || String(review.product_id) !== String(found.product.id)) {
+      return res.status(404).json({ error: 'Reseña no encontrada' });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .update({ reply: body.reply, reply_user_id: req.user.id, replied_at: now })
+      .eq('id', review.id)
+      .select()
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    // Avisar al autor de la reseña (best-effort)
+    try {
+      await createNotification({
+        userId: review.user_id,
+        title: 'El negocio respondió tu reseña',
+        message: body.reply.length > 140 ? `${body.reply.slice(0, 140)}…` : body.reply,
+        meta: { kind: 'review', action: 'replied', productId: review.product_id, reviewId: review.id, url: `${FRONTEND_URL}/product/${review.product_id}`, ctaLabel: 'Ver respuesta' },
+      });
+    } catch {
+      // silencioso
+    }
+
+    return res.json({ review: await withAuthor(data) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.delete('/:id/reviews/:reviewId/reply', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+  try {
+    const found = await findManagedProduct(req, req.params.id);
+    if (!found.product) return res.status(found.status).json(found.body);
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .update({ reply: null, reply_user_id: null, replied_at: null })
+      .eq('id', req.params.reviewId)
+      .eq('product_id', found.product.id)
+      .select()
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Reseña no encontrada' });
+
+    return res.json({ review: await withAuthor(data) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+const optionGroupSchema = z.object({
+  name: z.string().trim().min(1).max(40),
+  values: z.array(z.string().trim().min(1).max(40)).min(1).max(30),
+});
+
+const variantSchema = z.object({
+  sku: z.string().trim().min(1).max(64).optional(),
+  options: z.record(z.string(), z.string().trim().min(1)),
+  // null = mismo precio que el producto
+  price: z.coerce.number().nonnegative().nullable().optional(),
+  stock: z.coerce.number().int().nonnegative().default(0),
+  image: z.string().optional(),
+  position: z.coerce.number().int().nonnegative().optional(),
+});
+
+const updateVariantSchema = z
+  .object({
+    sku: z.string().trim().min(1).max(64).nullable().optional(),
+    options: z.record(z.string(), z.string().trim().min(1)).optional(),
+    price: z.coerce.number().nonnegative().nullable().optional(),
+    stock: z.coerce.number().int().nonnegative().optional(),
+    image: z.string().nullable().optional(),
+    position: z.coerce.number().int().nonnegative().optional(),
+    isActive: z.boolean().optional(),
+  })
+  .strict();
+
+// Imagen de variante: data URL se sube al bucket; una URL se guarda tal cual
+async function resolveVariantImage(image) {
+  if (typeof image !== 'string' || !image) return null;
+  if (image.startsWith('data:')) {
+    return uploadDataUrlToStorage({ bucket: 'product-images', folder: 'variants', dataUrl: image });
+  }
+  return image;
+}
+
+// Producto que el usuario puede administrar (dueño del negocio o admin).
+// Devuelve { product } o { status, body } con el error a responder.
+async function findManagedProduct(req, productId) {
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('id, business_id, price, options')
+    .eq('id', productId)
+    .single();
+
+  if (error || !product) return { status: 404, body: { error: 'Producto no encontrado' } };
+
+  const { data: biz } = await supabase
+    .from('businesses')
+    .select('id, owner_id')
+    .eq('id', product.business_id)
+    .single();
+
+  const isAdmin = req.profile?.role === 'admin';
+  if (!isAdmin && biz?.owner_id !== req.user.id) return { status: 403, body: { error: 'No autorizado' } };
+  return { product };
+}
+
+const respondWithError = (res, err) => res.status(err.statusCode).json({
+  error: err.message,
+  ...(err.code ? { code: err.code } : {}),
+});
+
+// Para publicar productos el emprendedor necesita al menos un método de pago y una dirección de entrega.
+// Devuelve null si cumple, o { status, body } con el error a responder.
+async function checkPublishingRequirements(userId) {
+  const { data: paymentMethods, error: payErr } = await supabase
+    .from('payment_methods')
+    .select('id')
+    .eq('user_id', userId);
+  const { data: addresses, error: addrErr } = await supabase
+    .from('delivery_addresses')
+    .select('id')
+    .eq('user_id', userId);
+
+  if (payErr || addrErr) return { status: 500, body: { error: 'Error al validar requisitos' } };
+  if (!paymentMethods?.length && !addresses?.length) {
+    return {
+      status: 400,
+      body: {
+        error: 'Debes agregar al menos un método de pago y una dirección de entrega antes de poder publicar productos.',
+        missing: ['payment', 'address'],
+      },
+    };
+  }
+  if (!paymentMethods?.length) {
+    return {
+      status: 400,
+      body: {
+        error: 'Debes agregar al menos un método de pago antes de poder publicar productos.',
+        missing: ['payment'],
+      },
+    };
+  }
+  if (!addresses?.length) {
+    return {
+      status: 400,
+      body: {
+        error: 'Debes agregar al menos una dirección de entrega antes de poder publicar productos.',
+        missing: ['address'],
+      },
+    };
+  }
+  return null;
+}
+
+const MAX_PRODUCT_IMAGES = 6;
+
+// POST/PATCH aceptan multipart/form-data (archivos en "images"/"image") además de JSON con data URLs
+const productImageFields = multipartImages([
+  { name: 'images', maxCount: MAX_PRODUCT_IMAGES },
+  { name: 'image', maxCount: 1 },
+], {
+  jsonFields: ['images', 'options', 'variants'],
+  booleanFields: ['acceptsDelivery', 'acceptsPickup', 'acceptsPaypal', 'acceptsCash', 'featured'],
+});
+
+const hasProductImageFiles = (req) => uploadedFiles(req, 'images').length > 0 || uploadedFiles(req, 'image').length > 0;
+
+// Imágenes del body (URLs o data URLs) seguidas de los archivos multipart, hasta MAX_PRODUCT_IMAGES.
+// Devuelve las URLs públicas en orden (la primera es la principal).
+async function resolveProductImages(req, body) {
+  const rawImages = Array.isArray(body.images) && body.images.length > 0
+    ? body.images
+    : body.image
+      ? [body.image]
+      : [];
+
+  const uploaded = [];
+  for (const img of rawImages.filter(Boolean).slice(0, MAX_PRODUCT_IMAGES)) {
+    if (typeof img === 'string' && img.startsWith('data:')) {
+      const url = await uploadDataUrlToStorage({ bucket: 'product-images', folder: 'items', dataUrl: img });
+      if (url) uploaded.push(url);
+    } else if (typeof img === 'string') {
+      uploaded.push(img);
+    }
+  }
+
+  const files = [...uploadedFiles(req, 'images'), ...uploadedFiles(req, 'image')]
+    .slice(0, Math.max(0, MAX_PRODUCT_IMAGES - uploaded.length));
+  uploaded.push(...await uploadImageFiles({ bucket: 'product-images', folder: 'items', files }));
+  return uploaded;
+}
+
 const createProductSchema = z.object({
   businessId: z.string().min(1),
+  sku: z.string().trim().min(1).max(64).optional(),
   name: z.string().min(1),
   description: z.string().optional().default(''),
   price: z.coerce.number().nonnegative(),
@@ -91,12 +699,26 @@ const createProductSchema = z.object({
   acceptsPaypal: z.boolean().optional().default(true),
   acceptsCash: z.boolean().optional().default(true),
   featured: z.boolean().optional().default(false),
+  // Variantes: grupos de opciones + una entrada por combinación (el stock del producto pasa a ser la suma)
+  options: z.array(optionGroupSchema).optional().default([]),
+  variants: z.array(variantSchema).max(MAX_VARIANTS_PER_PRODUCT).optional().default([]),
 });
 
-router.post('/', requireAuth, requireRole(['entrepreneur']), async (req, res, next) => {
+router.post('/', requireAuth, requireRole(['entrepreneur']), productImageFields, idempotency, async (req, res, next) => {
   try {
     const body = createProductSchema.parse(req.body);
 
+    try {
+      validateOptionGroups(body.options);
+      if (body.variants.length > 0 && body.options.length === 0) {
+        return res.status(400).json({ error: 'Define los grupos de opciones de las variantes', code: 'invalid_variant_options' });
+      }
+      validateVariantOptions(body.options, body.variants);
+    } catch (validationErr) {
+      if (!validationErr?.statusCode) throw validationErr;
+      return respondWithError(res, validationErr);
+    }
+
     // Validar que el negocio sea del usuario
     const { data: biz, error: bizErr } = await supabase
       .from('businesses')
@@ -108,53 +730,10 @@ router.post('/', requireAuth, requireRole(['entrepreneur']), async (req, res, ne
     if (biz.owner_id !== req.user.id) return res.status(403).json({ error: 'No eres dueño del negocio' });
 
     // Validar método de pago y dirección de entrega
-    const userId = req.user.id;
-    const { data: paymentMethods, error: payErr } = await supabase
-      .from('payment_methods')
-      .select('id')
-      .eq('user_id', userId);
-    const { data: addresses, error: addrErr } = await supabase
-      .from('delivery_addresses')
-      .select('id')
-      .eq('user_id', userId);
+    const missingRequirements = await checkPublishingRequirements(req.user.id);
+    if (missingRequirements) return res.status(missingRequirements.status).json(missingRequirements.body);
 
-    if (payErr || addrErr) return res.status(500).json({ error: 'Error al validar requisitos' });
-    if (!paymentMethods?.length && !addresses?.length) {
-      return res.status(400).json({
-        error: 'Debes agregar al menos un método de pago y una dirección de entrega antes de poder publicar productos.',
-        missing: ['payment', 'address'],
-      });
-    }
-    if (!paymentMethods?.length) {
-      return res.status(400).json({
-        error: 'Debes agregar al menos un método de pago antes de poder publicar productos.',
-        missing: ['payment'],
-      });
-    }
-    if (!addresses?.length) {
-      return res.status(400).json({
-        error: 'Debes agregar al menos una dirección de entrega antes de poder publicar productos.',
-        missing: ['address'],
-      });
-    }
-
-    const rawImages = Array.isArray(body.images) && body.images.length > 0
-      ? body.images
-      : body.image
-        ? [body.image]
-        : [];
-
-    const limited = rawImages.filter(Boolean).slice(0, 6);
-
-    const uploaded = [];
-    for (const img of limited) {
-      if (typeof img === 'string' && img.startsWith('data:')) {
-        const url = await uploadDataUrlToStorage({ bucket: 'product-images', folder: 'items', dataUrl: img });
-        if (url) uploaded.push(url);
-      } else if (typeof img === 'string') {
-        uploaded.push(img);
-      }
-    }
+    const uploaded = await resolveProductImages(req, body);
 
     const primary = uploaded[0] || null;
 
@@ -163,6 +742,7 @@ router.post('/', requireAuth, requireRole(['entrepreneur']), async (req, res, ne
       .insert([
         {
           business_id: body.businessId,
+          sku: body.sku || null,
           name: body.name,
           description: body.description,
           price: body.price,
@@ -175,13 +755,38 @@ router.post('/', requireAuth, requireRole(['entrepreneur']), async (req, res, ne
           accepts_paypal: body.acceptsPaypal,
           accepts_cash: body.acceptsCash,
           featured: body.featured,
+          options: body.options,
         },
       ])
       .select()
       .single();
 
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'Ya existe un producto con ese SKU en el negocio', code: 'duplicate_sku' });
+    }
     if (error) return res.status(400).json({ error: error.message });
 
+    let product = data;
+    if (body.variants.length > 0) {
+      try {
+        const variants = [];
+        for (const v of body.variants) {
+          const { image, ...rest } = v;
+          variants.push({ ...rest, imageUrl: await resolveVariantImage(image) });
+        }
+        await insertVariants({ productId: data.id, businessId: body.businessId, variants });
+      } catch (variantErr) {
+        // Sin variantes el producto quedaría incompleto: se descarta
+        await supabase.from('products').delete().eq('id', data.id);
+        if (!variantErr?.statusCode) throw variantErr;
+        return respondWithError(res, variantErr);
+      }
+
+      // Releer para devolver el stock ya sumado desde las variantes
+      const { data: refreshed } = await supabase.from('products').select('*').eq('id', data.id).single();
+      product = refreshed || data;
+    }
+
     // Notificar admins
     await notifyAdmins({
       title: 'Nuevo producto creado',
@@ -189,7 +794,8 @@ router.post('/', requireAuth, requireRole(['entrepreneur']), async (req, res, ne
       meta: { kind: 'product', action: 'created', productId: data?.id, businessId: body.businessId, ownerUserId: req.user.id },
     });
 
-    return res.status(201).json({ product: data });
+    const matrix = await getVariantMatrix(product);
+    return res.status(201).json({ product: { ...withProductImageSets(product), options: matrix.options, variants: matrix.variants } });
   } catch (err) {
     return next(err);
   }
@@ -212,10 +818,12 @@ const updateProductSchema = z
     acceptsPaypal: z.boolean().optional(),
     acceptsCash: z.boolean().optional(),
     featured: z.boolean().optional(),
+    options: z.array(optionGroupSchema).optional(),
+    sku: z.string().trim().min(1).max(64).nullable().optional(),
   })
   .strict();
 
-router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), productImageFields, async (req, res, next) => {
   try {
     const { id } = req.params;
     const body = updateProductSchema.parse(req.body);
@@ -239,54 +847,36 @@ router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), async
 
     const patch = { ...body };
 
-    if (body.images || body.image) {
-      const rawImages = Array.isArray(body.images) && body.images.length > 0
-        ? body.images
-        : body.image
-          ? [body.image]
-          : [];
-
-      const limited = rawImages.filter(Boolean).slice(0, 6);
-      const uploaded = [];
-      for (const img of limited) {
-        if (typeof img === 'string' && img.startsWith('data:')) {
-      // Validar método de pago y dirección de entrega
-      const userId = req.user.id;
-      const { data: paymentMethods, error: payErr } = await supabase
-        .from('payment_methods')
-        .select('id')
-        .eq('user_id', userId);
-      const { data: addresses, error: addrErr } = await supabase
-        .from('delivery_addresses')
-        .select('id')
-        .eq('user_id', userId);
-
-      if (payErr || addrErr) return res.status(500).json({ error: 'Error al validar requisitos' });
-      if (!paymentMethods?.length && !addresses?.length) {
-        return res.status(400).json({
-          error: 'Debes agregar al menos un método de pago y una dirección de entrega antes de poder publicar productos.',
-          missing: ['payment', 'address'],
-        });
-      }
-      if (!paymentMethods?.length) {
-        return res.status(400).json({
-          error: 'Debes agregar al menos un método de pago antes de poder publicar productos.',
-          missing: ['payment'],
+    // Con variantes, el stock se administra por variante y los grupos deben seguir cubriendo cada combinación
+    if (body.stock !== undefined || body.options) {
+      const activeVariants = await getProductVariants(id);
+      if (body.stock !== undefined && activeVariants.length > 0) {
+        return res.status(409).json({
+          error: 'Este producto tiene variantes: actualiza el stock de cada variante',
+          code: 'product_has_variants',
         });
       }
-      if (!addresses?.length) {
-        return res.status(400).json({
-          error: 'Debes agregar al menos una dirección de entrega antes de poder publicar productos.',
-          missing: ['address'],
-        });
-      }
-          const url = await uploadDataUrlToStorage({ bucket: 'product-images', folder: 'items', dataUrl: img });
-          if (url) uploaded.push(url);
-        } else if (typeof img === 'string') {
-          uploaded.push(img);
+      if (body.options) {
+        try {
+          validateOptionGroups(body.options);
+          validateVariantOptions(body.options, activeVariants);
+        } catch (validationErr) {
+          if (!validationErr?.statusCode) throw validationErr;
+          return respondWithError(res, validationErr);
         }
       }
+    }
+
+    if (body.images || body.image || hasProductImageFiles(req)) {
+      // Subir imágenes nuevas exige los mismos requisitos que publicar
+      const hasNewUploads = hasProductImageFiles(req)
+        || [body.image, ...(body.images || [])].some((img) => typeof img === 'string' && img.startsWith('data:'));
+      if (hasNewUploads) {
+        const missingRequirements = await checkPublishingRequirements(req.user.id);
+        if (missingRequirements) return res.status(missingRequirements.status).json(missingRequirements.body);
+      }
 
+      const uploaded = await resolveProductImages(req, body);
       patch.images = uploaded;
       patch.image_url = uploaded[0] || null;
       delete patch.image;
@@ -310,10 +900,143 @@ router.patch('/:id', requireAuth, requireRole(['entrepreneur', 'admin']), async
       delete patch.acceptsCash;
     }
 
-    const { data, error } = await supabase.from('products').update(patch).eq('id', id).select().single();
+    // El stock no puede quedar por debajo de lo reservado por pedidos en curso (condición en el mismo
+    // update para no competir con una reserva)
+    let query = supabase.from('products').update(patch).eq('id', id);
+    if (body.stock !== undefined) query = query.lte('reserved_stock', body.stock);
+    const { data, error } = await query.select().maybeSingle();
+    if (error) return res.status(400).json({ error: error.message });
+
+    if (!data) {
+      const { data: current } = await supabase.from('products').select('reserved_stock').eq('id', id).maybeSingle();
+      if (!current) return res.status(404).json({ error: 'Producto no encontrado' });
+      return res.status(409).json({
+        error: `Hay ${Number(current.reserved_stock) || 0} unidades reservadas por pedidos en curso`,
+        code: 'stock_below_reserved',
+      });
+    }
+
+    return res.json({ product: withProductImageSets(data) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// --- Variantes ---
+
+router.post('/:id/variants', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+  try {
+    const body = variantSchema.parse(req.body);
+
+    const found = await findManagedProduct(req, req.params.id);
+    if (!found.product) return res.status(found.status).json(found.body);
+    const { product } = found;
+
+    const existing = await getProductVariants(product.id);
+    if (existing.length >= MAX_VARIANTS_PER_PRODUCT) {
+      return res.status(409).json({ error: `Máximo ${MAX_VARIANTS_PER_PRODUCT} variantes por producto`, code: 'too_many_variants' });
+    }
+
+    const groups = Array.isArray(product.options) ? product.options : [];
+    if (groups.length === 0) {
+      return res.status(400).json({ error: 'Define los grupos de opciones del producto antes de agregar variantes', code: 'invalid_variant_options' });
+    }
+
+    try {
+      validateVariantOptions(groups, [...existing, body]);
+    } catch (validationErr) {
+      if (!validationErr?.statusCode) throw validationErr;
+      return respondWithError(res, validationErr);
+    }
+
+    const { image, ...rest } = body;
+    let created;
+    try {
+      [created] = await insertVariants({
+        productId: product.id,
+        businessId: product.business_id,
+        variants: [{ position: existing.length, ...rest, imageUrl: await resolveVariantImage(image) }],
+      });
+    } catch (variantErr) {
+      if (!variantErr?.statusCode) throw variantErr;
+      return respondWithError(res, variantErr);
+    }
+
+    return res.status(201).json({ variant: serializeVariant(created, product) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.patch('/:id/variants/:variantId', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+  try {
+    const body = updateVariantSchema.parse(req.body);
+
+    const found = await findManagedProduct(req, req.params.id);
+    if (!found.product) return res.status(found.status).json(found.body);
+    const { product } = found;
+
+    const variants = await getProductVariants(product.id, { includeInactive: true });
+    const current = variants.find((v) => String(v.id) === String(req.params.variantId));
+    if (!current) return res.status(404).json({ error: 'Variante no encontrada' });
+
+    const willBeActive = body.isActive ?? current.is_active;
+    if (willBeActive && (body.options || body.isActive)) {
+      const groups = Array.isArray(product.options) ? product.options : [];
+      const others = variants.filter((v) => v.is_active && String(v.id) !== String(current.id));
+      try {
+        validateVariantOptions(groups, [...others, { options: body.options || current.options }]);
+      } catch (validationErr) {
+        if (!validationErr?.statusCode) throw validationErr;
+        return respondWithError(res, validationErr);
+      }
+    }
+
+    // El stock no puede quedar por debajo de lo reservado por pedidos en curso
+    if (body.stock !== undefined && body.stock < (Number(current.reserved_stock) || 0)) {
+      return res.status(409).json({
+        error: `Hay ${current.reserved_stock} unidades reservadas por pedidos en curso`,
+        code: 'stock_below_reserved',
+      });
+    }
+
+    const { image, ...rest } = body;
+    const row = toVariantRow(rest);
+    if (image !== undefined) row.image_url = image === null ? null : await resolveVariantImage(image);
+    row.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('product_variants')
+      .update(row)
+      .eq('id', current.id)
+      .select()
+      .single();
+    if (error) return respondWithError(res, variantWriteError(error));
+
+    return res.json({ variant: serializeVariant(data, product) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Archiva la variante (no se borra: los pedidos anteriores la siguen referenciando)
+router.delete('/:id/variants/:variantId', requireAuth, requireRole(['entrepreneur', 'admin']), async (req, res, next) => {
+  try {
+    const found = await findManagedProduct(req, req.params.id);
+    if (!found.product) return res.status(found.status).json(found.body);
+
+    const { data, error } = await supabase
+      .from('product_variants')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.variantId)
+      .eq('product_id', found.product.id)
+      .select('id')
+      .maybeSingle();
+
     if (error) return res.status(400).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Variante no encontrada' });
 
-    return res.json({ product: data });
+    return res.json({ message: 'Variante archivada' });
   } catch (err) {
     return next(err);
   }
@@ -3,6 +3,7 @@ import { z } from 'zod';
 import { supabase } from '../config/supabase.js';
 import { createNotification } from '../utils/createNotification.js';
 import { requireAuth, requireRole } from '../middlewares/auth.js';
+import { idempotency } from '../middlewares/idempotency.js';
 import { notifyAdmins } from '../utils/notifyAdmins.js';
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
@@ -50,7 +51,7 @@ async function findOwnerUserId({ type, targetId }) {
   return null;
 }
 
-router.post('/', requireAuth, async (req, res, next) => {
+router.post('/', requireAuth, idempotency, async (req, res, next) => {
   try {
     const body = createReportSchema.parse(req.body);
 
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import { z } from 'zod';
 import { supabase } from '../config/supabase.js';
 import { requireAuth } from '../middlewares/auth.js';
+import { privacyFromSettings, publishPrivacy } from '../chatPrivacy.js';
 
 const router = Router();
 
@@ -21,6 +22,8 @@ router.get('/me', requireAuth, async (req, res, next) => {
       email_notifications: true,
       push_notifications: true,
       two_factor_enabled: false,
+      show_connection_status: true,
+      show_read_receipts: true,
     };
 
     return res.json({ settings });
@@ -34,6 +37,9 @@ const updateSchema = z
     emailNotifications: z.boolean().optional(),
     pushNotifications: z.boolean().optional(),
     twoFactorEnabled: z.boolean().optional(),
+    // Privacidad del chat (presencia y read receipts)
+    showConnectionStatus: z.boolean().optional(),
+    showReadReceipts: z.boolean().optional(),
   })
   .strict();
 
@@ -45,11 +51,23 @@ router.patch('/me', requireAuth, async (req, res, next) => {
       return res.status(400).json({ error: 'No hay datos para actualizar' });
     }
 
+    // 2FA no se puede togglear directamente: activar requiere enrolar un secreto y desactivar
+    // requiere un código válido (ver /api/auth/2fa/*).
+    if (body.twoFactorEnabled !== undefined) {
+      return res.status(400).json({
+        error: body.twoFactorEnabled
+          ? 'Para activar la verificación en dos pasos usa /api/auth/2fa/setup y /api/auth/2fa/confirm.'
+          : 'Para desactivar la verificación en dos pasos usa /api/auth/2fa/disable con un código válido.',
+        code: 'two_factor_requires_verification',
+      });
+    }
+
     const patch = {
       user_id: req.user.id,
       ...(body.emailNotifications !== undefined ? { email_notifications: body.emailNotifications } : {}),
       ...(body.pushNotifications !== undefined ? { push_notifications: body.pushNotifications } : {}),
-      ...(body.twoFactorEnabled !== undefined ? { two_factor_enabled: body.twoFactorEnabled } : {}),
+      ...(body.showConnectionStatus !== undefined ? { show_connection_status: body.showConnectionStatus } : {}),
+      ...(body.showReadReceipts !== undefined ? { show_read_receipts: body.showReadReceipts } : {}),
       updated_at: new Date().toISOString(),
     };
 
@@ -60,6 +78,9 @@ router.patch('/me', requireAuth, async (req, res, next) => {
       .single();
 
     if (error) return res.status(400).json({ error: error.message });
+
+    // El socket lee la privacidad del caché: se aplica al instante en todas las instancias (presencia incluida)
+    publishPrivacy(req.user.id, privacyFromSettings(data));
     return res.json({ settings: data });
   } catch (err) {
     return next(err);
@@ -2,10 +2,24 @@ import 'dotenv/config';
 import http from 'http';
 import { Server } from 'socket.io';
 import app from './app.js';
-import { addImageMessage, addMessage, resolveConversationMeta } from './chatService.js';
+import {
+  addImageMessage,
+  addUserMessage,
+  ensureChatAccess,
+  resolveConversationMeta,
+  serializeChatMessage,
+} from './chatService.js';
+import { messagePreviewText } from './utils/chatMessage.js';
+import { getPrivacy, loadPrivacy, onPrivacyChange, savePrivacy, setPrivacy, startPrivacySync } from './chatPrivacy.js';
+import { markDelivered, markReadUpTo } from './chatReceiptService.js';
+import { deleteMessage, editMessage, onMessageChange } from './chatMessageEditService.js';
 import { isBlockedBy } from './userService.js';
+import { requireSocketAuth } from './middlewares/auth.js';
 import { createNotification } from './utils/createNotification.js';
 import { supabase } from './config/supabase.js';
+import { expireStalePendingOrders } from './orderService.js';
+import { purgeExpiredIdempotencyKeys } from './middlewares/idempotency.js';
+import { cleanupOrphanedStorage } from './storageCleanupService.js';
 
 const port = Number(process.env.PORT) || 4000;
 
@@ -57,14 +71,13 @@ const io = new Server(server, {
   },
 });
 
+// Toda conexión debe traer un access token válido; la identidad queda en socket.data.userId
+io.use(requireSocketAuth);
+
 // Simple in-memory presence tracking (best-effort)
 const connectionsByUser = new Map(); // userId -> count
 const lastSeenByUser = new Map(); // userId -> ISO
 
-// Per-user privacy settings (best-effort, in-memory)
-// showConnectionStatus=false => nadie ve tu online/lastSeen, y tú tampoco ves el de otros.
-// showReadReceipts=false => no se emiten ni se reciben read receipts.
-const privacyByUser = new Map(); // userId -> { showConnectionStatus, showReadReceipts }
 const chatEmailByUser = new Map(); // userId -> boolean
 
 async function getChatEmailPreference(userId) {
@@ -99,24 +112,6 @@ const socketsWatchingUser = new Map();
 // watchedUsersBySocket: socketId -> Set(subjectUserId)
 const watchedUsersBySocket = new Map();
 
-function getPrivacy(userId) {
-  if (!userId) return { showConnectionStatus: true, showReadReceipts: true };
-  const p = privacyByUser.get(userId);
-  return {
-    showConnectionStatus: p?.showConnectionStatus !== false,
-    showReadReceipts: p?.showReadReceipts !== false,
-  };
-}
-
-function setPrivacy(userId, next) {
-  if (!userId) return;
-  const current = getPrivacy(userId);
-  privacyByUser.set(userId, {
-    showConnectionStatus: typeof next?.showConnectionStatus === 'boolean' ? next.showConnectionStatus : current.showConnectionStatus,
-    showReadReceipts: typeof next?.showReadReceipts === 'boolean' ? next.showReadReceipts : current.showReadReceipts,
-  });
-}
-
 function setUserOnline(userId) {
   if (!userId) return;
   const count = (connectionsByUser.get(userId) || 0) + 1;
@@ -210,7 +205,7 @@ function notifyPresenceWatchers(subjectUserId) {
     try {
       const s = io.sockets.sockets.get(String(sid));
       if (!s) continue;
-      const viewerId = s.handshake.query?.userId || null;
+      const viewerId = s.data?.userId || null;
       s.emit('presence:update', makePresencePayload({ viewerUserId: viewerId, subjectUserId: uid }));
     } catch {
       // ignore
@@ -218,30 +213,118 @@ function notifyPresenceWatchers(subjectUserId) {
   }
 }
 
+// Cambios de privacidad (socket, PATCH /api/user-settings/me u otra instancia): la visibilidad de la
+// presencia cambia
+onPrivacyChange((userId) => notifyPresenceWatchers(userId));
+startPrivacySync();
+
+// Emite a los sockets de chat:<convoId> salvo a los usuarios que bloquearon al remitente.
+// Devuelve los userIds (distintos del remitente) que lo recibieron.
+async function emitToRoomExceptBlockers(convoId, senderId, event, payload) {
+  const sender = String(senderId || '');
+  const reached = new Set();
+  const sockets = await io.in(`chat:${convoId}`).fetchSockets();
+
+  // Batch blocked checks in 1 query (instead of per-socket awaits)
+  const destUserIds = Array.from(new Set(
+    sockets
+      .map((s) => String(s.data?.userId || '').trim())
+      .filter(Boolean)
+      .filter((uid) => (sender ? uid !== sender : true)),
+  ));
+
+  let blockedSet = new Set();
+  if (sender && destUserIds.length > 0) {
+    try {
+      const { data: blocks, error: blocksErr } = await supabase
+        .from('user_blocks')
+        .select('blocker_id')
+        .eq('blocked_id', sender)
+        .in('blocker_id', destUserIds);
+      if (!blocksErr && Array.isArray(blocks)) {
+        blockedSet = new Set(blocks.map((b) => String(b?.blocker_id || '')).filter(Boolean));
+      }
+    } catch {
+      blockedSet = new Set();
+    }
+  }
+
+  for (const s of sockets) {
+    try {
+      const destUserId = String(s.data?.userId || '').trim();
+      if (sender && destUserId && destUserId !== sender && blockedSet.has(destUserId)) continue;
+      s.emit(event, payload);
+      if (destUserId && destUserId !== sender) reached.add(destUserId);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('Error delivering to socket', e);
+    }
+  }
+  return reached;
+}
+
+// Ediciones y borrados (socket o REST): message:updated / message:deleted a la sala, con el mismo
+// filtro de bloqueos que los mensajes nuevos. Borrar para todos emite el tombstone; borrar para mí
+// solo llega a los sockets de ese usuario.
+onMessageChange(async ({ action, scope, conversationId, message, userId }) => {
+  try {
+    if (!conversationId || !message) return;
+    if (action === 'deleted' && scope === 'me') {
+      io.to(`user:${userId}`).emit('message:deleted', { conversationId, messageId: message.id, scope });
+      return;
+    }
+
+    const serialized = await serializeChatMessage(message);
+    if (action === 'updated') {
+      await emitToRoomExceptBlockers(conversationId, message.sender_id, 'message:updated', { conversationId, message: serialized });
+      return;
+    }
+    await emitToRoomExceptBlockers(conversationId, message.sender_id, 'message:deleted', {
+      conversationId,
+      messageId: message.id,
+      scope,
+      deletedBy: userId,
+      deletedAt: message.deleted_at || null,
+      message: serialized,
+    });
+  } catch {
+    // ignore
+  }
+});
+
 io.on('connection', (socket) => {
-  const { orderId, userId, userName } = socket.handshake.query || {};
-  const thisUserId = userId || null;
+  const { orderId } = socket.handshake.query || {};
+  const thisUserId = socket.data?.userId || null;
+  const thisUserName = socket.data?.userName || 'Usuario';
 
   if (thisUserId) {
     setUserOnline(thisUserId);
     socket.join(`user:${thisUserId}`);
 
-    // Inform watchers that this user is now online
-    notifyPresenceWatchers(thisUserId);
+    // Privacidad guardada (user_settings) antes de anunciar la presencia a los watchers
+    void (async () => {
+      await loadPrivacy([thisUserId]).catch(() => null);
+      // Inform watchers that this user is now online
+      notifyPresenceWatchers(thisUserId);
+    })();
   }
 
-  async function resolveRoomId(inputId) {
-    const meta = await resolveConversationMeta(inputId);
+  // Resuelve el id de la sala y verifica que este usuario sea participante (lanza 403 si no).
+  async function authorizeRoom(inputId) {
+    const meta = await ensureChatAccess(thisUserId, inputId);
     return meta?.conversationId || inputId;
   }
 
   socket.on('privacy:update', async (payload) => {
     if (!thisUserId) return;
     try {
-      setPrivacy(thisUserId, payload);
-
-      // Inform watchers (global) that visibility may have changed
-      notifyPresenceWatchers(thisUserId);
+      // Write-through a user_settings; los watchers (global) se avisan desde onPrivacyChange.
+      // Si la BD falla, al menos se aplica en este proceso.
+      await savePrivacy(thisUserId, payload).catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('Error saving chat privacy:', err?.message || err);
+        setPrivacy(thisUserId, payload);
+      });
 
       // Si ya está en una conversación, actualiza la presencia visible/invisible inmediatamente.
       const convoId = socket.data?.conversationId;
@@ -249,7 +332,7 @@ io.on('connection', (socket) => {
 
       const sockets = await io.in(`chat:${convoId}`).fetchSockets();
       for (const s of sockets) {
-        const viewerId = s.handshake.query?.userId || null;
+        const viewerId = s.data?.userId || null;
         s.emit('presence:update', makePresencePayload({ viewerUserId: viewerId, subjectUserId: thisUserId }));
       }
     } catch {
@@ -258,7 +341,7 @@ io.on('connection', (socket) => {
   });
 
   // Subscribe to presence updates for specific users
-  socket.on('presence:watch', (payload) => {
+  socket.on('presence:watch', async (payload) => {
     try {
       if (!thisUserId) return;
       const raw = payload?.userIds;
@@ -281,7 +364,8 @@ io.on('connection', (socket) => {
         addPresenceWatch(socket.id, uid);
       }
 
-      // Send snapshot immediately
+      // Send snapshot immediately (con la privacidad guardada de cada usuario)
+      await loadPrivacy(list).catch(() => null);
       for (const uid of list) {
         if (!uid) continue;
         socket.emit('presence:update', makePresencePayload({ viewerUserId: thisUserId, subjectUserId: uid }));
@@ -373,7 +457,7 @@ io.on('connection', (socket) => {
       const raw = payload?.conversationId || payload?.orderId || null;
       if (!raw) return;
 
-      const convoId = await resolveRoomId(raw);
+      const convoId = await authorizeRoom(raw);
       const meta = await resolveConversationMeta(convoId);
       const customerId = meta?.customerId || null;
       const ownerId = meta?.businessOwnerUserId || null;
@@ -395,9 +479,14 @@ io.on('connection', (socket) => {
 
   socket.on('joinOrder', async (roomId) => {
     if (!roomId) return;
+    let convoId;
+    try {
+      convoId = await authorizeRoom(roomId);
+    } catch {
+      // Sin acceso a la conversación: no se une a la sala
+      return;
+    }
     try {
-      const convoId = await resolveRoomId(roomId);
-
       // Si ya estaba unido a otra conversación, salir para evitar recibir mensajes duplicados.
       try {
         const prevConvo = socket.data?.conversationId;
@@ -418,13 +507,14 @@ io.on('connection', (socket) => {
         const customerId = meta?.customerId || null;
         const ownerId = meta?.businessOwnerUserId || null;
         const participants = [customerId, ownerId].filter(Boolean);
+        await loadPrivacy(participants).catch(() => null);
 
         // Inform other sockets in room about this user's presence (respect privacy)
         if (thisUserId) {
           const sockets = await io.in(`chat:${convoId}`).fetchSockets();
           for (const s of sockets) {
             if (s.id === socket.id) continue;
-            const viewerId = s.handshake.query?.userId || null;
+            const viewerId = s.data?.userId || null;
             s.emit('presence:update', makePresencePayload({ viewerUserId: viewerId, subjectUserId: thisUserId }));
           }
         }
@@ -436,8 +526,8 @@ io.on('connection', (socket) => {
       } catch {
         // ignore
       }
-    } catch (e) {
-      socket.join(`chat:${roomId}`);
+    } catch {
+      // ignore
     }
   });
 
@@ -445,8 +535,9 @@ io.on('connection', (socket) => {
   socket.on('typing', async (payload) => {
     try {
       if (!thisUserId) return;
-      const convoId = await resolveRoomId(payload?.conversationId || payload?.orderId || orderId);
-      if (!convoId) return;
+      const rawId = payload?.conversationId || payload?.orderId || orderId;
+      if (!rawId) return;
+      const convoId = await authorizeRoom(rawId);
 
       const isTyping = Boolean(payload?.isTyping);
 
@@ -481,67 +572,46 @@ io.on('connection', (socket) => {
   });
 
   socket.on('message', async (payload) => {
-    const roomIdRaw = payload.orderId || orderId;
+    if (!thisUserId) return;
+    const type = payload?.type || 'text';
+    // Sala: conversationId (como read/typing). orderId solo vale como sala en clientes viejos; en los
+    // mensajes tipo 'order' es el pedido referenciado, no la sala.
+    const roomIdRaw = payload?.conversationId || (type !== 'order' ? payload?.orderId : null) || orderId;
     const hasText = typeof payload?.text === 'string' && payload.text.trim().length > 0;
     const hasImage = typeof payload?.imageDataUrl === 'string' && payload.imageDataUrl.startsWith('data:');
-    if (!roomIdRaw || (!hasText && !hasImage)) return;
+    const hasReference = (type === 'product' && payload?.productId) || (type === 'order' && payload?.orderId);
+    if (!roomIdRaw || (!hasText && !hasImage && !hasReference)) return;
     try {
-      const convoId = await resolveRoomId(roomIdRaw);
+      const convoId = await authorizeRoom(roomIdRaw);
+      // Remitente derivado del token (payload.senderId/senderName se ignoran)
       const msg = hasImage
         ? await addImageMessage(convoId, {
           imageDataUrl: payload.imageDataUrl,
           caption: payload.caption || '',
-          senderId: payload.senderId || userId || null,
-          senderName: payload.senderName || userName || 'Anon',
+          senderId: thisUserId,
+          senderName: thisUserName,
         })
-        : await addMessage(convoId, {
+        : await addUserMessage(convoId, {
+          type,
           text: payload.text,
-          senderId: payload.senderId || userId || null,
-          senderName: payload.senderName || userName || 'Anon',
+          productId: payload.productId,
+          orderId: payload.orderId,
+          senderId: thisUserId,
+          senderName: thisUserName,
         });
 
-      const outgoing = msg ? { ...msg, clientId: payload?.clientId || null } : null;
+      // La sala chat:<convoId> solo tiene sockets que pasaron authorizeRoom: se les entrega el mensaje
+      // estructurado con los adjuntos firmados (el mensaje guardado conserva solo la ruta del objeto)
+      const delivered = await serializeChatMessage(msg);
+      const outgoing = delivered ? { ...delivered, clientId: payload?.clientId || null } : null;
 
       // Deliver message ASAP (reduce perceived latency)
+      const deliveredTo = new Set();
       if (outgoing) {
         try {
-          const sender = String(outgoing?.sender_id || msg?.sender_id || payload?.senderId || thisUserId || '');
-          const sockets = await io.in(`chat:${convoId}`).fetchSockets();
-
-          // Batch blocked checks in 1 query (instead of per-socket awaits)
-          const destUserIds = Array.from(new Set(
-            sockets
-              .map((s) => String(s.handshake.query?.userId || '').trim())
-              .filter(Boolean)
-              .filter((uid) => (sender ? uid !== sender : true)),
-          ));
-
-          let blockedSet = new Set();
-          if (sender && destUserIds.length > 0) {
-            try {
-              const { data: blocks, error: blocksErr } = await supabase
-                .from('user_blocks')
-                .select('blocker_id')
-                .eq('blocked_id', sender)
-                .in('blocker_id', destUserIds);
-              if (!blocksErr && Array.isArray(blocks)) {
-                blockedSet = new Set(blocks.map((b) => String(b?.blocker_id || '')).filter(Boolean));
-              }
-            } catch {
-              blockedSet = new Set();
-            }
-          }
-
-          for (const s of sockets) {
-            try {
-              const destUserId = String(s.handshake.query?.userId || '').trim();
-              if (sender && destUserId && destUserId !== sender && blockedSet.has(destUserId)) continue;
-              s.emit('message', outgoing);
-            } catch (e) {
-              // eslint-disable-next-line no-console
-              console.error('Error delivering to socket', e);
-            }
-          }
+          const sender = String(outgoing?.sender_id || msg?.sender_id || thisUserId || '');
+          const reached = await emitToRoomExceptBlockers(convoId, sender, 'message', outgoing);
+          for (const uid of reached) deliveredTo.add(uid);
         } catch {
           // ignore
         }
@@ -551,7 +621,7 @@ io.on('connection', (socket) => {
       void (async () => {
         try {
           const meta = await resolveConversationMeta(convoId);
-          const sender = msg?.sender_id || payload.senderId || thisUserId || null;
+          const sender = msg?.sender_id || thisUserId || null;
           const customerId = meta?.customerId || null;
           const ownerId = meta?.businessOwnerUserId || null;
 
@@ -562,9 +632,20 @@ io.on('connection', (socket) => {
             return null;
           })();
 
+          // El destinatario tenía la conversación abierta: queda "entregado" (persistente)
+          if (recipientUserId && deliveredTo.has(String(recipientUserId))) {
+            const receipt = await markDelivered({ conversationId: convoId, userId: recipientUserId }).catch(() => null);
+            if (receipt) {
+              io.to(`chat:${convoId}`).emit('delivered', {
+                conversationId: convoId,
+                userId: String(recipientUserId),
+                deliveredAt: receipt.lastDeliveredAt,
+              });
+            }
+          }
+
           if (recipientUserId) {
-            const rawText = String(msg?.text || '');
-            const preview = rawText.startsWith('__img__:') ? '📷 Imagen' : rawText.slice(0, 120);
+            const preview = messagePreviewText(msg);
             const chatEmailEnabled = await getChatEmailPreference(String(recipientUserId));
             await createNotification({
               userId: recipientUserId,
@@ -581,7 +662,8 @@ io.on('connection', (socket) => {
 
             io.to(`user:${recipientUserId}`).emit('chat:preview', {
               conversationId: convoId,
-              text: msg?.text || '',
+              type: delivered?.type || 'text',
+              text: messagePreviewText(msg),
               senderId: sender,
               createdAt: msg?.created_at || null,
             });
@@ -590,7 +672,8 @@ io.on('connection', (socket) => {
           if (sender) {
             io.to(`user:${sender}`).emit('chat:preview', {
               conversationId: convoId,
-              text: msg?.text || '',
+              type: delivered?.type || 'text',
+              text: messagePreviewText(msg),
               senderId: sender,
               createdAt: msg?.created_at || null,
             });
@@ -600,32 +683,90 @@ io.on('connection', (socket) => {
         }
       })();
     } catch (err) {
+      // Sin acceso a la conversación: se descarta en silencio
+      if (err?.statusCode === 403) return;
+      // Errores de validación (imagen inválida, producto/pedido inexistente): se avisan solo al remitente
+      if (err?.statusCode < 500 && err?.code) {
+        socket.emit('message:error', { clientId: payload?.clientId || null, error: err.message, code: err.code });
+        return;
+      }
       // eslint-disable-next-line no-console
       console.error('Error saving message (socket):', err);
     }
   });
 
-  // Read receipt (ephemeral)
+  // Editar / borrar un mensaje. Payload: { conversationId, messageId, text } / { conversationId, messageId, scope }.
+  // La difusión la hace onMessageChange; los errores de validación se avisan solo a este socket.
+  const handleMessageChange = (eventName, run) => async (payload) => {
+    try {
+      if (!thisUserId) return;
+      const rawId = payload?.conversationId || payload?.orderId || orderId;
+      if (!rawId || !payload?.messageId) return;
+      const meta = await ensureChatAccess(thisUserId, rawId);
+      await run(meta, payload);
+    } catch (err) {
+      if (err?.statusCode < 500 && err?.code) {
+        socket.emit('message:error', {
+          event: eventName,
+          messageId: payload?.messageId || null,
+          clientId: payload?.clientId || null,
+          error: err.message,
+          code: err.code,
+        });
+        return;
+      }
+      if (err?.statusCode === 403) return;
+      // eslint-disable-next-line no-console
+      console.error(`Error handling ${eventName} (socket):`, err);
+    }
+  };
+
+  socket.on('message:edit', handleMessageChange('message:edit', (meta, payload) => editMessage({
+    meta,
+    messageId: payload.messageId,
+    userId: thisUserId,
+    text: payload.text,
+  })));
+
+  socket.on('message:delete', handleMessageChange('message:delete', (meta, payload) => deleteMessage({
+    meta,
+    messageId: payload.messageId,
+    userId: thisUserId,
+    scope: payload.scope || 'me',
+  })));
+
+  // Read receipt: se persiste siempre (contador de no leídos); el evento respeta showReadReceipts
   socket.on('read', async (payload) => {
     try {
       if (!thisUserId) return;
-      const senderPrivacy = getPrivacy(thisUserId);
-      if (!senderPrivacy.showReadReceipts) return;
+      const rawId = payload?.conversationId || payload?.orderId || orderId;
+      if (!rawId) return;
+      const meta = await ensureChatAccess(thisUserId, rawId);
+      const convoId = meta?.conversationId || rawId;
 
-      const convoId = await resolveRoomId(payload?.conversationId || payload?.orderId || orderId);
-      if (!convoId) return;
+      const receipt = await markReadUpTo({
+        conversationId: convoId,
+        threadIds: [convoId, meta?.orderId].filter(Boolean),
+        userId: thisUserId,
+        messageId: payload?.lastReadMessageId || null,
+      });
 
+      if (!receipt) return;
       const sockets = await io.in(`chat:${convoId}`).fetchSockets();
+      await loadPrivacy([thisUserId, ...sockets.map((s) => s.data?.userId)]).catch(() => null);
+
+      const senderPrivacy = getPrivacy(thisUserId);
+      if (!senderPrivacy.showReadReceipts) return;
       for (const s of sockets) {
-        const viewerId = s.handshake.query?.userId || null;
+        const viewerId = s.data?.userId || null;
         const viewerPrivacy = getPrivacy(viewerId);
         if (!viewerPrivacy.showReadReceipts) continue;
 
         s.emit('read', {
           conversationId: convoId,
           userId: thisUserId,
-          lastReadMessageId: payload?.lastReadMessageId || null,
-          readAt: payload?.readAt || new Date().toISOString(),
+          lastReadMessageId: receipt.lastReadMessageId,
+          readAt: receipt.lastReadAt,
         });
       }
     } catch {
@@ -647,7 +788,7 @@ io.on('connection', (socket) => {
       if (convoId) {
         const sockets = await io.in(`chat:${convoId}`).fetchSockets();
         for (const s of sockets) {
-          const viewerId = s.handshake.query?.userId || null;
+          const viewerId = s.data?.userId || null;
           s.emit('presence:update', makePresencePayload({ viewerUserId: viewerId, subjectUserId: thisUserId }));
         }
       }
@@ -657,6 +798,41 @@ io.on('connection', (socket) => {
   });
 });
 
+// Expirar pedidos pendientes y liberar su stock reservado (best-effort)
+const ORDER_EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
+setInterval(() => {
+  expireStalePendingOrders().catch(() => {
+    // ignore
+  });
+}, ORDER_EXPIRY_INTERVAL_MS).unref();
+
+// Borrar Idempotency-Keys vencidas (best-effort)
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+  purgeExpiredIdempotencyKeys().catch(() => {
+    // ignore
+  });
+}, IDEMPOTENCY_PURGE_INTERVAL_MS).unref();
+
+// Borrar archivos huérfanos de Storage (best-effort). STORAGE_CLEANUP_INTERVAL_HOURS=0 lo desactiva.
+const STORAGE_CLEANUP_INTERVAL_HOURS = Number(process.env.STORAGE_CLEANUP_INTERVAL_HOURS ?? 24);
+if (STORAGE_CLEANUP_INTERVAL_HOURS > 0) {
+  setInterval(() => {
+    cleanupOrphanedStorage({ dryRun: false })
+      .then((report) => {
+        const deleted = report.buckets.reduce((acc, b) => acc + b.deleted, 0);
+        if (deleted > 0) {
+          // eslint-disable-next-line no-console
+          console.log(`Storage cleanup: ${deleted} archivos huérfanos eliminados`);
+        }
+      })
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('Storage cleanup error', err?.message || err);
+      });
+  }, STORAGE_CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
+
 server.listen(port, () => {
   // eslint-disable-next-line no-console
   console.log(`Backend listo en http://localhost:${port}`);
@@ -0,0 +1,176 @@
+import { supabase } from './config/supabase.js';
+import { CHAT_MEDIA_BUCKET, chatMediaPaths } from './chatService.js';
+import { storagePathFromUrl } from './imageUploadService.js';
+import { httpError } from './utils/httpError.js';
+
+// Limpieza de archivos huérfanos en Storage: objetos que ninguna fila referencia (producto borrado,
+// logo reemplazado, negocio eliminado...). Solo se borran los que superan el período de gracia, para
+// no tocar subidas recientes cuya fila todavía no se guardó. Si falla la carga de referencias se
+// aborta la corrida: nunca se borra con un inventario incompleto.
+
+const GRACE_HOURS = Number(process.env.STORAGE_CLEANUP_GRACE_HOURS) || 24;
+const MAX_DELETES_PER_RUN = Number(process.env.STORAGE_CLEANUP_MAX_DELETES) || 500;
+const LIST_PAGE_SIZE = 1000;
+const ROWS_PAGE_SIZE = 1000;
+const REMOVE_BATCH_SIZE = 100;
+const REPORT_SAMPLE_SIZE = 50;
+
+// Lee una tabla completa en páginas (solo las columnas con URLs)
+async function fetchAllRows(table, columns, applyFilter = (q) => q) {
+  const rows = [];
+  for (let from = 0; ; from += ROWS_PAGE_SIZE) {
+    const { data, error } = await applyFilter(supabase.from(table).select(columns))
+      .order('id', { ascending: true })
+      .range(from, from + ROWS_PAGE_SIZE - 1);
+    if (error) throw httpError(500, `No se pudieron leer las referencias de ${table}: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < ROWS_PAGE_SIZE) return rows;
+  }
+}
+
+// Las imágenes procesadas viven en <carpeta>/{thumb,card,full}.webp y la BD guarda solo "full":
+// se considera referenciada toda la carpeta.
+const assetKey = (path) => path.replace(/\/(thumb|card|full)\.webp$/u, '/');
+
+// bucket -> función que devuelve las rutas (dentro del bucket) referenciadas por la BD.
+// Productos y negocios guardan URLs públicas; los adjuntos del chat guardan directamente la ruta.
+const pathsFromUrls = (urls, bucket) => urls.map((url) => storagePathFromUrl(url, bucket));
+
+const BUCKET_REFERENCES = {
+  'product-images': async () => {
+    // Las tarjetas de producto del chat guardan su imagen (metadata.imageUrl) y la conservan aunque
+    // el producto cambie de imagen o se borre
+    const [products, variants, reviews, productCards] = await Promise.all([
+      fetchAllRows('products', 'id, image_url, images'),
+      fetchAllRows('product_variants', 'id, image_url'),
+      fetchAllRows('product_reviews', 'id, photos'),
+      fetchAllRows('messages', 'id, imageUrl:metadata->>imageUrl', (q) => q.eq('type', 'product')),
+    ]);
+    return pathsFromUrls([
+      ...products.flatMap((p) => [p.image_url, ...(Array.isArray(p.images) ? p.images : [])]),
+      ...variants.map((v) => v.image_url),
+      ...reviews.flatMap((r) => (Array.isArray(r.photos) ? r.photos : [])),
+      ...productCards.map((m) => m.imageUrl),
+    ], 'product-images');
+  },
+  'business-assets': async () => {
+    const businesses = await fetchAllRows('businesses', 'id, logo_url, banner_url');
+    return pathsFromUrls(businesses.flatMap((b) => [b.logo_url, b.banner_url]), 'business-assets');
+  },
+  [CHAT_MEDIA_BUCKET]: async () => {
+    // Mensajes con adjuntos (las filas "__img__:<url>" ya las convirtió la migración de tipos)
+    const messages = await fetchAllRows(
+      'messages',
+      'id, type, text, attachments',
+      (q) => q.in('type', ['image', 'file']),
+    );
+    return messages.flatMap(chatMediaPaths);
+  },
+};
+
+export const CLEANUP_BUCKETS = Object.keys(BUCKET_REFERENCES);
+
+async function loadReferencedKeys(bucket) {
+  const paths = await BUCKET_REFERENCES[bucket]();
+  return new Set(paths.filter(Boolean).map(assetKey));
+}
+
+// Recorre el bucket completo. En la respuesta de list() las carpetas vienen con id null.
+async function listAllObjects(bucket, prefix = '') {
+  const objects = [];
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .list(prefix, { limit: LIST_PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+    if (error) throw httpError(500, `No se pudo listar ${bucket}/${prefix}: ${error.message}`);
+
+    for (const entry of data || []) {
+      const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.id === null || entry.id === undefined) {
+        objects.push(...await listAllObjects(bucket, path));
+      } else {
+        objects.push({
+          path,
+          size: Number(entry.metadata?.size) || 0,
+          createdAt: entry.created_at || entry.updated_at || null,
+        });
+      }
+    }
+    if (!data || data.length < LIST_PAGE_SIZE) return objects;
+  }
+}
+
+async function removeObjects(bucket, paths) {
+  let removed = 0;
+  for (let i = 0; i < paths.length; i += REMOVE_BATCH_SIZE) {
+    const batch = paths.slice(i, i + REMOVE_BATCH_SIZE);
+    const { data, error } = await supabase.storage.from(bucket).remove(batch);
+    if (error) throw httpError(500, `No se pudieron borrar archivos de ${bucket}: ${error.message}`);
+    removed += Array.isArray(data) ? data.length : batch.length;
+  }
+  return removed;
+}
+
+async function cleanupBucket(bucket, { dryRun, cutoff, maxDeletes }) {
+  // Primero las referencias y después el listado: lo subido entre medio cae dentro del período de gracia
+  const referenced = await loadReferencedKeys(bucket);
+  const objects = await listAllObjects(bucket);
+
+  const orphaned = objects.filter((o) => !referenced.has(o.path) && !referenced.has(assetKey(o.path)));
+  const expired = orphaned.filter((o) => o.createdAt && new Date(o.createdAt).getTime() < cutoff);
+  const toDelete = expired.slice(0, Math.max(0, maxDeletes));
+
+  const deleted = dryRun || toDelete.length === 0 ? 0 : await removeObjects(bucket, toDelete.map((o) => o.path));
+
+  return {
+    bucket,
+    scanned: objects.length,
+    orphaned: orphaned.length,
+    inGracePeriod: orphaned.length - expired.length,
+    eligible: expired.length,
+    deleted,
+    reclaimableBytes: expired.reduce((acc, o) => acc + o.size, 0),
+    sample: toDelete.slice(0, REPORT_SAMPLE_SIZE),
+  };
+}
+
+let running = false;
+
+// Una sola corrida a la vez (job programado y endpoint de admin comparten este lock).
+// dryRun: solo reporta qué se borraría.
+export const cleanupOrphanedStorage = async ({
+  dryRun = true,
+  buckets = CLEANUP_BUCKETS,
+  graceHours = GRACE_HOURS,
+  maxDeletes = MAX_DELETES_PER_RUN,
+} = {}) => {
+  const unknown = buckets.filter((b) => !CLEANUP_BUCKETS.includes(b));
+  if (unknown.length > 0) throw httpError(400, `Bucket no soportado: ${unknown.join(', ')}`, 'unknown_bucket');
+  if (running) throw httpError(409, 'Ya hay una limpieza de archivos en curso', 'storage_cleanup_running');
+
+  running = true;
+  try {
+    const startedAt = new Date();
+    const cutoff = startedAt.getTime() - graceHours * 60 * 60 * 1000;
+    let remaining = maxDeletes;
+
+    const results = [];
+    for (const bucket of buckets) {
+      const result = await cleanupBucket(bucket, { dryRun, cutoff, maxDeletes: remaining });
+      if (!dryRun) remaining -= result.deleted;
+      results.push(result);
+    }
+
+    return {
+      dryRun,
+      graceHours,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      buckets: results,
+    };
+  } finally {
+    running = false;
+  }
+};
+
+export default { CLEANUP_BUCKETS, cleanupOrphanedStorage };
@@ -0,0 +1,263 @@
+import { createHash, randomBytes } from 'crypto';
+import { supabase, supabaseAuth } from './config/supabase.js';
+import { generateTotpSecret, buildOtpauthUrl, verifyTotp } from './utils/totp.js';
+import { httpError } from './utils/httpError.js';
+
+// Los secretos viven en `user_two_factor` (solo accesible con service role), separados de
+// `user_settings` para que GET /api/user-settings/me nunca los exponga.
+// user_settings.two_factor_enabled sigue siendo el flag que consulta /login.
+
+const RECOVERY_CODES_COUNT = 10;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const hashRecoveryCode = (code) => createHash('sha256')
+  .update(String(code || '').trim().toLowerCase().replace(/[^a-z0-9]/gu, ''))
+  .digest('hex');
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i += 1) {
+    const hex = randomBytes(5).toString('hex');
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  return codes;
+}
+
+async function getTwoFactorRow(userId) {
+  const { data, error } = await supabase
+    .from('user_two_factor')
+    .select('user_id, secret, pending_secret, recovery_codes, last_used_step, enabled_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw httpError(400, error.message);
+  return data || null;
+}
+
+async function setTwoFactorFlag(userId, enabled) {
+  const { error } = await supabase
+    .from('user_settings')
+    .upsert({ user_id: userId, two_factor_enabled: enabled, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) throw httpError(400, error.message);
+}
+
+export const isTwoFactorEnabled = async (userId) => {
+  if (!userId) return false;
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select('two_factor_enabled')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw httpError(500, 'No se pudo verificar la configuración de seguridad');
+  return data?.two_factor_enabled === true;
+};
+
+export const getTwoFactorStatus = async (userId) => {
+  const [enabled, row] = await Promise.all([isTwoFactorEnabled(userId), getTwoFactorRow(userId)]);
+  return {
+    enabled,
+    pendingEnrollment: Boolean(row?.pending_secret),
+    recoveryCodesRemaining: enabled && Array.isArray(row?.recovery_codes) ? row.recovery_codes.length : 0,
+    enabledAt: enabled ? row?.enabled_at || null : null,
+  };
+};
+
+// Paso 1: genera un secreto pendiente (no activo hasta confirmar con un código válido).
+export const startEnrollment = async ({ userId, accountName }) => {
+  if (await isTwoFactorEnabled(userId)) {
+    throw httpError(409, 'La verificación en dos pasos ya está activada', 'two_factor_already_enabled');
+  }
+
+  const secret = generateTotpSecret();
+  const { error } = await supabase
+    .from('user_two_factor')
+    .upsert({ user_id: userId, pending_secret: secret, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) throw httpError(400, error.message);
+
+  return { secret, otpauthUrl: buildOtpauthUrl({ secret, accountName }) };
+};
+
+// Paso 2: valida el código contra el secreto pendiente, activa 2FA y devuelve los códigos de recuperación (una sola vez).
+export const confirmEnrollment = async ({ userId, code }) => {
+  const row = await getTwoFactorRow(userId);
+  if (!row?.pending_secret) throw httpError(400, 'No hay una activación pendiente', 'two_factor_not_pending');
+
+  const step = verifyTotp(row.pending_secret, code);
+  if (step === null) throw httpError(400, 'Código inválido', 'invalid_two_factor_code');
+
+  const recoveryCodes = generateRecoveryCodes();
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('user_two_factor')
+    .update({
+      secret: row.pending_secret,
+      pending_secret: null,
+      recovery_codes: recoveryCodes.map(hashRecoveryCode),
+      last_used_step: step,
+      enabled_at: now,
+      updated_at: now,
+    })
+    .eq('user_id', userId);
+  if (error) throw httpError(400, error.message);
+
+  await setTwoFactorFlag(userId, true);
+  return { recoveryCodes };
+};
+
+const RECOVERY_CONSUME_RETRIES = 3;
+
+// Acepta un código TOTP (no reutilizable) o un código de recuperación (se consume).
+// Devuelve { ok, method } sin lanzar por códigos incorrectos.
+// Ambos consumos son updates condicionales: si dos requests presentan el mismo código a la vez, solo
+// uno actualiza la fila y el otro recibe ok=false.
+export const verifyTwoFactorCode = async ({ userId, code }) => {
+  const row = await getTwoFactorRow(userId);
+  if (!row?.secret) return { ok: false, method: null };
+
+  const step = verifyTotp(row.secret, code);
+  if (step !== null) {
+    const lastStep = Number(row.last_used_step);
+    if (row.last_used_step !== null && Number.isFinite(lastStep) && step <= lastStep) return { ok: false, method: 'totp' };
+
+    const { data, error } = await supabase
+      .from('user_two_factor')
+      .update({ last_used_step: step, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+      .select('user_id');
+    if (error || !Array.isArray(data) || data.length === 0) return { ok: false, method: 'totp' };
+    return { ok: true, method: 'totp' };
+  }
+
+  const hashed = hashRecoveryCode(code);
+  let current = row;
+  for (let attempt = 0; attempt < RECOVERY_CONSUME_RETRIES; attempt += 1) {
+    const hashes = Array.isArray(current?.recovery_codes) ? current.recovery_codes : [];
+    if (!hashes.includes(hashed)) return { ok: false, method: null };
+
+    // Solo si el array no cambió desde la lectura (otro request pudo consumir este u otro código)
+    const remaining = hashes.filter((h) => h !== hashed);
+    const { data, error } = await supabase
+      .from('user_two_factor')
+      .update({ recovery_codes: remaining, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('recovery_codes', JSON.stringify(hashes))
+      .select('user_id');
+    if (error) return { ok: false, method: 'recovery' };
+    if (Array.isArray(data) && data.length > 0) {
+      return { ok: true, method: 'recovery', recoveryCodesRemaining: remaining.length };
+    }
+
+    // Cambió entre la lectura y el update: se relee (si era este mismo código, ya no estará)
+    current = await getTwoFactorRow(userId);
+  }
+  return { ok: false, method: 'recovery' };
+};
+
+export const disableTwoFactor = async ({ userId, code }) => {
+  if (!(await isTwoFactorEnabled(userId))) {
+    throw httpError(409, 'La verificación en dos pasos no está activada', 'two_factor_not_enabled');
+  }
+
+  const result = await verifyTwoFactorCode({ userId, code });
+  if (!result.ok) throw httpError(400, 'Código inválido', 'invalid_two_factor_code');
+
+  await setTwoFactorFlag(userId, false);
+  const { error } = await supabase.from('user_two_factor').delete().eq('user_id', userId);
+  if (error) throw httpError(400, error.message);
+  return { disabled: true };
+};
+
+export const regenerateRecoveryCodes = async ({ userId, code }) => {
+  if (!(await isTwoFactorEnabled(userId))) {
+    throw httpError(409, 'La verificación en dos pasos no está activada', 'two_factor_not_enabled');
+  }
+
+  const result = await verifyTwoFactorCode({ userId, code });
+  if (!result.ok) throw httpError(400, 'Código inválido', 'invalid_two_factor_code');
+
+  const recoveryCodes = generateRecoveryCodes();
+  const { error } = await supabase
+    .from('user_two_factor')
+    .update({ recovery_codes: recoveryCodes.map(hashRecoveryCode), updated_at: new Date().toISOString() })
+    .eq('user_id', userId);
+  if (error) throw httpError(400, error.message);
+  return { recoveryCodes };
+};
+
+// Challenges de login (tabla login_two_factor_challenges): el cliente recibe un challengeId aleatorio y
+// solo se guarda su hash. No se retiene ningún token: la sesión se emite al validar el segundo factor.
+// Expiran a los 5 minutos.
+const hashChallengeId = (challengeId) => createHash('sha256').update(String(challengeId || '')).digest('hex');
+
+export const createLoginChallenge = async ({ userId, email }) => {
+  // Limpieza best-effort de challenges vencidos
+  await supabase
+    .from('login_two_factor_challenges')
+    .delete()
+    .lt('expires_at', new Date().toISOString())
+    .then(() => null, () => null);
+
+  const challengeId = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS).toISOString();
+  const { error } = await supabase
+    .from('login_two_factor_challenges')
+    .insert({ challenge_hash: hashChallengeId(challengeId), user_id: userId, email, expires_at: expiresAt });
+  if (error) throw httpError(500, 'No se pudo iniciar la verificación en dos pasos');
+
+  return { challengeId, expiresAt };
+};
+
+// Sesión nueva para el usuario sin contraseña: magic link generado con el cliente admin y canjeado al instante
+async function createSessionForUser(email) {
+  const { data: link, error } = await supabase.auth.admin.generateLink({ type: 'magiclink', email });
+  const tokenHash = link?.properties?.hashed_token;
+  if (error || !tokenHash) throw httpError(500, 'No se pudo iniciar la sesión');
+
+  const { data, error: otpError } = await supabaseAuth.auth.verifyOtp({ type: 'magiclink', token_hash: tokenHash });
+  if (otpError || !data?.session?.access_token) throw httpError(500, 'No se pudo iniciar la sesión');
+  return data.session;
+}
+
+// Valida challenge + código. Devuelve { userId, email, token } (token de una sesión recién emitida) y
+// elimina el challenge si es correcto.
+export const consumeLoginChallenge = async ({ challengeId, code }) => {
+  const challengeHash = hashChallengeId(challengeId);
+  const { data, error } = await supabase.rpc('register_two_factor_challenge_attempt', { p_challenge_hash: challengeHash });
+  if (error) throw httpError(500, 'No se pudo validar la verificación en dos pasos');
+  const challenge = Array.isArray(data) ? data[0] : data;
+  if (!challenge) throw httpError(401, 'El desafío expiró. Inicia sesión nuevamente.', 'two_factor_challenge_expired');
+
+  if (challenge.attempts > CHALLENGE_MAX_ATTEMPTS) {
+    await supabase.from('login_two_factor_challenges').delete().eq('challenge_hash', challengeHash);
+    throw httpError(429, 'Demasiados intentos. Inicia sesión nuevamente.', 'two_factor_too_many_attempts');
+  }
+
+  const result = await verifyTwoFactorCode({ userId: challenge.user_id, code });
+  if (!result.ok) throw httpError(401, 'Código inválido', 'invalid_two_factor_code');
+
+  // Un challenge se canjea una sola vez: si otro request ya lo borró, este no emite sesión
+  const { data: deleted } = await supabase
+    .from('login_two_factor_challenges')
+    .delete()
+    .eq('challenge_hash', challengeHash)
+    .select('challenge_hash');
+  if (!Array.isArray(deleted) || deleted.length === 0) {
+    throw httpError(401, 'El desafío expiró. Inicia sesión nuevamente.', 'two_factor_challenge_expired');
+  }
+
+  const session = await createSessionForUser(challenge.email);
+  return { userId: challenge.user_id, email: challenge.email, token: session.access_token, method: result.method };
+};
+
+export default {
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactorCode,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  consumeLoginChallenge,
+};
@@ -0,0 +1,82 @@
+import { storagePathFromUrl } from '../imageUploadService.js';
+
+// Modelo de mensajes del chat. Cada fila de `messages` tiene:
+//   type: text | image | file | product | order | system
+//   text: cuerpo en texto plano (en imágenes/archivos, igual al caption)
+//   caption: pie de foto/archivo (null si no hay)
+//   attachments: [{ kind: 'image' | 'file', path, mimeType, size, width, height, name }]
+//     (path es la ruta en el bucket privado del chat; filas antiguas pueden traer url)
+//   metadata: datos propios del tipo (tarjeta de producto, referencia de pedido, evento de sistema)
+//   edited_at / deleted_at / deleted_by: edición y borrado para todos (ver chatMessageEditService)
+// Las filas anteriores a la migración guardaban las imágenes como "__img__:<url>\n<caption>" y no tenían
+// columna type: solo esas se leen con el formato viejo. Con la migración aplicada todas las filas traen
+// type y un texto con ese prefijo es solo texto (nunca un adjunto).
+
+export const MESSAGE_TYPES = ['text', 'image', 'file', 'product', 'order', 'system'];
+
+const LEGACY_IMAGE_PREFIX = '__img__:';
+
+function legacyImageAttachment(ref, bucket) {
+  if (!/^https?:\/\//iu.test(ref)) return { kind: 'image', path: ref };
+  const path = storagePathFromUrl(ref, bucket);
+  return path ? { kind: 'image', path } : { kind: 'image', url: ref };
+}
+
+// Fila de la BD -> forma estructurada (sin URLs firmadas; eso lo agrega chatService)
+export function normalizeMessage(row, { bucket } = {}) {
+  if (!row || typeof row !== 'object') return row;
+
+  const text = typeof row.text === 'string' ? row.text : '';
+  const type = MESSAGE_TYPES.includes(row.type) ? row.type : 'text';
+  const isLegacyRow = row.type === undefined || row.type === null;
+
+  if (isLegacyRow && text.startsWith(LEGACY_IMAGE_PREFIX)) {
+    const [ref, ...rest] = text.slice(LEGACY_IMAGE_PREFIX.length).split('\n');
+    const caption = rest.join('\n').trim() || null;
+    return {
+      ...row,
+      type: 'image',
+      text: caption || '',
+      caption,
+      attachments: ref.trim() ? [legacyImageAttachment(ref.trim(), bucket)] : [],
+      metadata: row.metadata && typeof row.metadata === 'object' ? row.metadata : {},
+    };
+  }
+
+  return {
+    ...row,
+    type,
+    text,
+    caption: row.caption ?? null,
+    attachments: Array.isArray(row.attachments) ? row.attachments : [],
+    metadata: row.metadata && typeof row.metadata === 'object' ? row.metadata : {},
+  };
+}
+
+// Rutas de Storage que referencia un mensaje (para firmar URLs y para la limpieza de huérfanos)
+export function messageMediaPaths(row, { bucket } = {}) {
+  const message = normalizeMessage(row, { bucket });
+  return (message?.attachments || []).map((a) => a?.path).filter(Boolean);
+}
+
+// Texto corto para notificaciones y previews de la bandeja
+export function messagePreviewText(row) {
+  const message = normalizeMessage(row);
+  if (!message) return '';
+  if (message.deleted_at) return '🚫 Mensaje eliminado';
+  const caption = message.caption ? ` ${message.caption}` : '';
+  switch (message.type) {
+    case 'image':
+      return `📷 Imagen${caption}`.slice(0, 120);
+    case 'file':
+      return `📎 ${message.attachments[0]?.name || 'Archivo'}${caption}`.slice(0, 120);
+    case 'product':
+      return `🛍️ ${message.metadata.name || 'Producto'}`.slice(0, 120);
+    case 'order':
+      return `🧾 Pedido ${message.metadata.orderNumber || ''}`.trim().slice(0, 120);
+    default:
+      return message.text.slice(0, 120);
+  }
+}
+
+export default { MESSAGE_TYPES, normalizeMessage, messageMediaPaths, messagePreviewText };
@@ -0,0 +1,90 @@
+// CSV mínimo (RFC 4180): comillas dobles, comillas escapadas ("") y saltos de línea dentro de campos.
+// Acepta separador "," o ";" (Excel en español exporta con ";"), detectado en la cabecera.
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/u, 1)[0] || '';
+  const commas = (firstLine.match(/,/gu) || []).length;
+  const semicolons = (firstLine.match(/;/gu) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+// Devuelve un array de filas (arrays de strings). Ignora filas completamente vacías.
+export function parseCsv(input, { delimiter } = {}) {
+  const text = String(input || '').replace(/^\uFEFF/u, '');
+  const sep = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+// Convierte a objetos usando la primera fila como cabecera (claves normalizadas con normalizeHeader)
+export function parseCsvRecords(input, { normalizeHeader = (h) => h.trim() } = {}) {
+  const [header = [], ...rows] = parseCsv(input);
+  const keys = header.map(normalizeHeader);
+  return {
+    headers: keys,
+    records: rows.map((cells) => {
+      const record = {};
+      keys.forEach((key, idx) => {
+        if (key) record[key] = (cells[idx] ?? '').trim();
+      });
+      return record;
+    }),
+  };
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  // Evitar inyección de fórmulas al abrir el archivo en Excel/Sheets
+  if (/^[=+\-@\t\r]/u.test(str) && !/^-?\d+(\.\d+)?$/u.test(str)) str = `'${str}`;
+  return /[",;\r\n]/u.test(str) ? `"${str.replace(/"/gu, '""')}"` : str;
+}
+
+export function toCsv(headers, rows) {
+  const lines = [headers.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(headers.map((h) => escapeCell(row[h])).join(','));
+  }
+  // BOM para que Excel detecte UTF-8 (tildes, ñ)
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+export default { parseCsv, parseCsvRecords, toCsv };
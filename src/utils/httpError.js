@@ -0,0 +1,10 @@
+// Error con status HTTP (statusCode, el que lee errorHandler) y un código opcional para el cliente
+// (p.ej. invalid_two_factor_code). Las rutas responden { error: err.message, code: err.code }.
+export function httpError(statusCode, message, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  return err;
+}
+
+export default httpError;
@@ -0,0 +1,88 @@
+import PDFDocument from 'pdfkit';
+
+const money = (n) => `$${(Number(n) || 0).toFixed(2)}`;
+
+const formatDate = (iso) => {
+  if (!iso) return '-';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '-';
+  return d.toLocaleString('es-EC', { timeZone: process.env.INVOICE_TIMEZONE || 'America/Guayaquil' });
+};
+
+const PAYMENT_LABELS = {
+  cash: 'Efectivo',
+  paypal: 'PayPal',
+  transfer: 'Transferencia',
+  card: 'Tarjeta',
+};
+
+// Genera el PDF de la factura/comprobante y devuelve un Buffer.
+// invoice: { invoiceNumber, issuedAt, orderId, orderNumber, business, customer, items, total, paymentMethod }
+export function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Factura ${invoice.invoiceNumber}` } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const business = invoice.business || {};
+    const customer = invoice.customer || {};
+
+    // Encabezado
+    doc.fontSize(20).text(business.name || 'Negocio', { continued: false });
+    doc.fontSize(9).fillColor('#475569');
+    if (business.email) doc.text(business.email);
+    if (business.phone) doc.text(`Tel: ${business.phone}`);
+    if (business.instagram) doc.text(`Instagram: ${business.instagram}`);
+    if (business.address) doc.text(business.address);
+
+    doc.fillColor('#000000').fontSize(14).text(`Factura N.º ${invoice.invoiceNumber}`, 50, 50, { align: 'right' });
+    doc.fontSize(9).fillColor('#475569')
+      .text(`Fecha de entrega: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+      .text(`Pedido: ${invoice.orderNumber || invoice.orderId}`, { align: 'right' });
+
+    // Cliente
+    doc.moveDown(3).fillColor('#000000').fontSize(11).text('Cliente', 50);
+    doc.fontSize(9).fillColor('#475569');
+    doc.text(customer.name || '-');
+    if (customer.email) doc.text(customer.email);
+    if (customer.phone) doc.text(`Tel: ${customer.phone}`);
+
+    // Items
+    const colX = { name: 50, qty: 330, price: 390, subtotal: 470 };
+    doc.moveDown(1.5).fillColor('#000000').fontSize(10);
+    let y = doc.y;
+    doc.text('Producto', colX.name, y).text('Cant.', colX.qty, y).text('P. unit.', colX.price, y).text('Subtotal', colX.subtotal, y);
+    y = doc.y + 4;
+    doc.moveTo(50, y).lineTo(545, y).strokeColor('#cbd5e1').stroke();
+
+    doc.fontSize(9);
+    for (const item of invoice.items || []) {
+      y += 8;
+      if (y > 740) {
+        doc.addPage();
+        y = 50;
+      }
+      doc.text(item.name || 'Producto', colX.name, y, { width: 270 });
+      const rowBottom = doc.y;
+      doc.text(String(item.quantity), colX.qty, y)
+        .text(money(item.unitPrice), colX.price, y)
+        .text(money(item.subtotal), colX.subtotal, y);
+      y = Math.max(rowBottom, doc.y);
+    }
+
+    y += 8;
+    doc.moveTo(50, y).lineTo(545, y).strokeColor('#cbd5e1').stroke();
+    doc.fontSize(11).text(`Total: ${money(invoice.total)}`, colX.price - 60, y + 10, { width: 215, align: 'right' });
+
+    const paymentLabel = PAYMENT_LABELS[String(invoice.paymentMethod || '').toLowerCase()] || invoice.paymentMethod || '-';
+    doc.fontSize(9).fillColor('#475569').text(`Método de pago: ${paymentLabel}`, 50, y + 10);
+
+    doc.fontSize(8).text('UG Emprende — Comprobante generado automáticamente.', 50, 780, { align: 'center', width: 495 });
+
+    doc.end();
+  });
+}
+
+export default renderInvoicePdf;
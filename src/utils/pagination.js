@@ -0,0 +1,30 @@
+import { z } from 'zod';
+
+// Contrato común de listados paginados: ?page=1&limit=24 (limit máx. 100).
+// El body sigue siendo el array de resultados; el total va en cabeceras para no romper clientes.
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+export const paginationSchema = {
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+};
+
+// Rango inclusivo para supabase-js .range(from, to)
+export function pageRange({ page, limit }) {
+  const from = (page - 1) * limit;
+  return { from, to: from + limit - 1 };
+}
+
+// Offset fuera del total: PostgREST responde 416 (PGRST103) en vez de un array vacío
+export const isRangeNotSatisfiable = (error) => error?.code === 'PGRST103';
+
+export function setPaginationHeaders(res, { page, limit, total }) {
+  const count = Number(total) || 0;
+  res.set('X-Total-Count', String(count));
+  res.set('X-Page', String(page));
+  res.set('X-Per-Page', String(limit));
+  res.set('X-Total-Pages', String(Math.ceil(count / limit)));
+}
+
+export const PAGINATION_HEADERS = ['X-Total-Count', 'X-Page', 'X-Per-Page', 'X-Total-Pages'];
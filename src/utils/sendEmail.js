@@ -48,7 +48,12 @@ function getTransporter() {
   return transporter;
 }
 
-async function sendViaResend({ to, subject, text, html }) {
+// attachments: [{ filename, content: Buffer, contentType? }] (opcional, mismo formato para todos los providers)
+const toBase64Attachments = (attachments) => (Array.isArray(attachments) ? attachments : [])
+  .filter((a) => a?.filename && a?.content)
+  .map((a) => ({ filename: a.filename, content: Buffer.from(a.content).toString('base64') }));
+
+async function sendViaResend({ to, subject, text, html, attachments }) {
   if (!RESEND_API_KEY) return { ok: false, error: 'RESEND_API_KEY not configured' };
 
   const from = RESEND_FROM || SMTP_FROM || SMTP_USER;
@@ -70,6 +75,7 @@ async function sendViaResend({ to, subject, text, html }) {
         subject,
         text,
         html,
+        ...(attachments?.length ? { attachments: toBase64Attachments(attachments) } : {}),
       }),
       signal: controller.signal,
     });
@@ -89,7 +95,7 @@ async function sendViaResend({ to, subject, text, html }) {
   }
 }
 
-async function sendViaBrevo({ to, subject, text, html }) {
+async function sendViaBrevo({ to, subject, text, html, attachments }) {
   if (!BREVO_API_KEY) return { ok: false, error: 'BREVO_API_KEY not configured' };
 
   const fromEmail = BREVO_FROM_EMAIL || SMTP_USER;
@@ -113,6 +119,9 @@ async function sendViaBrevo({ to, subject, text, html }) {
         subject,
         textContent: text,
         htmlContent: html,
+        ...(attachments?.length
+          ? { attachment: toBase64Attachments(attachments).map((a) => ({ name: a.filename, content: a.content })) }
+          : {}),
       }),
       signal: controller.signal,
     });
@@ -135,19 +144,19 @@ async function sendViaBrevo({ to, subject, text, html }) {
   }
 }
 
-export async function sendEmail({ to, subject, text, html }) {
+export async function sendEmail({ to, subject, text, html, attachments }) {
   const provider = String(EMAIL_PROVIDER || '').toLowerCase().trim();
 
   // Prefer Brevo (HTTPS) when configured; avoids SMTP egress blocks.
   if (provider === 'brevo' || (BREVO_API_KEY && provider !== 'smtp' && provider !== 'resend')) {
-    const b = await sendViaBrevo({ to, subject, text, html });
+    const b = await sendViaBrevo({ to, subject, text, html, attachments });
     if (b.ok) return b;
     if (provider === 'brevo') return b;
   }
 
   // Prefer Resend (HTTPS) when configured; SMTP from Render is commonly blocked/timeouts.
   if (provider === 'resend' || (RESEND_API_KEY && provider !== 'smtp')) {
-    const r = await sendViaResend({ to, subject, text, html });
+    const r = await sendViaResend({ to, subject, text, html, attachments });
     if (r.ok) return r;
 
     // If user explicitly requested resend, don't silently fall back to SMTP.
@@ -163,7 +172,7 @@ export async function sendEmail({ to, subject, text, html }) {
   const from = SMTP_FROM || SMTP_USER || `no-reply@localhost`;
 
   try {
-    const info = await t.sendMail({ from, to, subject, text, html });
+    const info = await t.sendMail({ from, to, subject, text, html, ...(attachments?.length ? { attachments } : {}) });
     return { ok: true, info, provider: 'smtp' };
   } catch (err) {
     return { ok: false, error: err?.message || String(err), provider: 'smtp' };
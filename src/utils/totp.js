@@ -0,0 +1,98 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// TOTP (RFC 6238) con HMAC-SHA1, pasos de 30s y 6 dígitos: lo que esperan Google Authenticator, Authy, etc.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input || '').toUpperCase().replace(/=+$/u, '').replace(/\s+/gu, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) return null;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 20 bytes = 160 bits (longitud recomendada por el RFC para SHA1)
+export function generateTotpSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+export function buildOtpauthUrl({ secret, accountName, issuer = 'UG Emprende' }) {
+  const label = encodeURIComponent(`${issuer}:${accountName || ''}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function currentTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function hotp(key, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = createHmac('sha1', key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin = ((hmac[offset] & 0x7f) << 24)
+    | ((hmac[offset + 1] & 0xff) << 16)
+    | ((hmac[offset + 2] & 0xff) << 8)
+    | (hmac[offset + 3] & 0xff);
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export function generateTotp(secret, step = currentTimeStep()) {
+  const key = base32Decode(secret);
+  if (!key || key.length === 0) return null;
+  return hotp(key, step);
+}
+
+// Devuelve el time step que coincide (tolerando ±window pasos de desfase de reloj) o null.
+// El caller guarda el step usado para rechazar reutilizaciones del mismo código.
+export function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s+/gu, '');
+  if (!/^\d{6}$/u.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  if (!key || key.length === 0) return null;
+
+  const step = currentTimeStep(now);
+  for (let i = -window; i <= window; i += 1) {
+    const candidate = hotp(key, step + i);
+    if (timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) return step + i;
+  }
+  return null;
+}
+
+export default { generateTotpSecret, buildOtpauthUrl, generateTotp, verifyTotp, currentTimeStep };
@@ -0,0 +1,14 @@
+-- Secretos TOTP y códigos de recuperación (hash SHA-256) por usuario.
+-- Solo el backend (service role) lee esta tabla; user_settings.two_factor_enabled sigue siendo el flag.
+create table if not exists public.user_two_factor (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  secret text,
+  pending_secret text,
+  recovery_codes jsonb not null default '[]'::jsonb,
+  last_used_step bigint,
+  enabled_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_two_factor enable row level security;
@@ -0,0 +1,16 @@
+-- Historial de estados de cada orden (quién, cuándo, de qué estado a cuál y nota opcional).
+create table if not exists public.order_status_events (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor_id uuid,
+  actor_role text,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_events_order_id_created_at_idx
+  on public.order_status_events (order_id, created_at);
+
+alter table public.order_status_events enable row level security;
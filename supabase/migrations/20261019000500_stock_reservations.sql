@@ -0,0 +1,92 @@
+-- Reservas de stock: products.stock es el inventario físico y reserved_stock lo comprometido
+-- por pedidos aún no entregados. Disponible = stock - reserved_stock.
+alter table public.products add column if not exists reserved_stock integer not null default 0;
+
+-- Estado de la reserva de cada orden: reserved | committed | released (null = orden previa a reservas)
+alter table public.orders add column if not exists stock_state text;
+
+-- Reserva atómica. p_items: [{ "product_id": uuid, "quantity": int }].
+-- Bloquea las filas (en orden de id para evitar deadlocks); si falta stock en alguna no reserva nada
+-- y devuelve [{ product_id, requested, available }]. Si reservó todo devuelve [].
+create or replace function public.reserve_stock(p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shortages jsonb;
+begin
+  with req as (
+    select (x->>'product_id')::uuid as product_id, sum((x->>'quantity')::int) as quantity
+    from jsonb_array_elements(p_items) x
+    group by 1
+  ),
+  locked as (
+    select p.id, p.stock, p.reserved_stock
+    from public.products p
+    join req on req.product_id = p.id
+    order by p.id
+    for update of p
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'product_id', req.product_id,
+    'requested', req.quantity,
+    'available', coalesce(l.stock, 0) - coalesce(l.reserved_stock, 0)
+  )), '[]'::jsonb)
+  into v_shortages
+  from req
+  left join locked l on l.id = req.product_id
+  where l.id is null or coalesce(l.stock, 0) - coalesce(l.reserved_stock, 0) < req.quantity;
+
+  if jsonb_array_length(v_shortages) > 0 then
+    return v_shortages;
+  end if;
+
+  update public.products p
+  set reserved_stock = coalesce(p.reserved_stock, 0) + req.quantity
+  from (
+    select (x->>'product_id')::uuid as product_id, sum((x->>'quantity')::int) as quantity
+    from jsonb_array_elements(p_items) x
+    group by 1
+  ) req
+  where p.id = req.product_id;
+
+  return '[]'::jsonb;
+end;
+$$;
+
+-- Movimientos sobre reservas/stock: release | commit | deduct | restock.
+create or replace function public.apply_stock_movement(p_items jsonb, p_movement text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_movement not in ('release', 'commit', 'deduct', 'restock') then
+    raise exception 'Movimiento de stock inválido: %', p_movement;
+  end if;
+
+  update public.products p
+  set
+    stock = case
+      when p_movement in ('commit', 'deduct') then greatest(0, coalesce(p.stock, 0) - req.quantity)
+      when p_movement = 'restock' then coalesce(p.stock, 0) + req.quantity
+      else p.stock
+    end,
+    reserved_stock = case
+      when p_movement in ('release', 'commit') then greatest(0, coalesce(p.reserved_stock, 0) - req.quantity)
+      else p.reserved_stock
+    end
+  from (
+    select (x->>'product_id')::uuid as product_id, sum((x->>'quantity')::int) as quantity
+    from jsonb_array_elements(p_items) x
+    group by 1
+  ) req
+  where p.id = req.product_id;
+end;
+$$;
+
+revoke execute on function public.reserve_stock(jsonb) from public, anon, authenticated;
+revoke execute on function public.apply_stock_movement(jsonb, text) from public, anon, authenticated;
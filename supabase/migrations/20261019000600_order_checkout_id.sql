@@ -0,0 +1,4 @@
+-- Agrupa las órdenes (una por negocio) creadas en un mismo checkout de carrito mixto.
+alter table public.orders add column if not exists checkout_id uuid;
+
+create index if not exists orders_checkout_id_idx on public.orders (checkout_id);
@@ -0,0 +1,4 @@
+-- Datos de cancelación iniciada por el cliente (POST /api/orders/:id/cancel).
+alter table public.orders add column if not exists cancellation_reason text;
+alter table public.orders add column if not exists cancelled_by uuid;
+alter table public.orders add column if not exists cancelled_at timestamptz;
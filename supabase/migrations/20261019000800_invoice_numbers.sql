@@ -0,0 +1,54 @@
+-- Numeración correlativa de facturas por negocio.
+alter table public.orders add column if not exists invoice_number integer;
+alter table public.orders add column if not exists invoice_issued_at timestamptz;
+
+create unique index if not exists orders_business_invoice_number_key
+  on public.orders (business_id, invoice_number)
+  where invoice_number is not null;
+
+create table if not exists public.business_invoice_counters (
+  business_id uuid primary key references public.businesses (id) on delete cascade,
+  last_number integer not null default 0
+);
+
+alter table public.business_invoice_counters enable row level security;
+
+-- Devuelve el número de factura de la orden, asignando el siguiente del negocio si aún no tiene.
+-- Bloquea la orden para que dos llamadas concurrentes no consuman dos números.
+create or replace function public.assign_invoice_number(p_order_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_business_id uuid;
+  v_number integer;
+begin
+  select business_id, invoice_number into v_business_id, v_number
+  from public.orders
+  where id = p_order_id
+  for update;
+
+  if not found then
+    raise exception 'Orden no encontrada: %', p_order_id;
+  end if;
+
+  if v_number is not null then
+    return v_number;
+  end if;
+
+  insert into public.business_invoice_counters as c (business_id, last_number)
+  values (v_business_id, 1)
+  on conflict (business_id) do update set last_number = c.last_number + 1
+  returning last_number into v_number;
+
+  update public.orders
+  set invoice_number = v_number, invoice_issued_at = now()
+  where id = p_order_id;
+
+  return v_number;
+end;
+$$;
+
+revoke execute on function public.assign_invoice_number(uuid) from public, anon, authenticated;
@@ -0,0 +1,121 @@
+-- Números de pedido legibles y correlativos por negocio (p.ej. CAFE-00042).
+-- Se asignan en un trigger BEFORE INSERT: el contador se incrementa con un upsert atómico,
+-- así dos inserts concurrentes nunca obtienen el mismo número.
+alter table public.businesses add column if not exists order_prefix text;
+create unique index if not exists businesses_order_prefix_key on public.businesses (order_prefix) where order_prefix is not null;
+
+alter table public.orders add column if not exists order_seq integer;
+alter table public.orders add column if not exists order_number text;
+create unique index if not exists orders_order_number_key on public.orders (order_number) where order_number is not null;
+create unique index if not exists orders_business_order_seq_key on public.orders (business_id, order_seq) where order_seq is not null;
+
+create table if not exists public.business_order_counters (
+  business_id uuid primary key references public.businesses (id) on delete cascade,
+  last_number integer not null default 0
+);
+
+alter table public.business_order_counters enable row level security;
+
+-- Prefijo estable del negocio: 4 primeras letras/dígitos del nombre (sin tildes), único entre negocios.
+create or replace function public.ensure_business_order_prefix(p_business_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_prefix text;
+  v_name text;
+  v_base text;
+  v_candidate text;
+  v_i integer := 1;
+begin
+  select order_prefix, name into v_prefix, v_name
+  from public.businesses
+  where id = p_business_id
+  for update;
+
+  if v_prefix is not null then
+    return v_prefix;
+  end if;
+
+  v_base := upper(left(regexp_replace(
+    translate(coalesce(v_name, ''), 'áéíóúüñÁÉÍÓÚÜÑ', 'aeiouunAEIOUUN'),
+    '[^A-Za-z0-9]', '', 'g'
+  ), 4));
+  if v_base = '' then
+    v_base := 'UG';
+  end if;
+
+  v_candidate := v_base;
+  while exists (select 1 from public.businesses where order_prefix = v_candidate) loop
+    v_i := v_i + 1;
+    v_candidate := v_base || v_i::text;
+  end loop;
+
+  update public.businesses set order_prefix = v_candidate where id = p_business_id;
+  return v_candidate;
+end;
+$$;
+
+create or replace function public.next_order_number(p_business_id uuid, out seq integer, out order_number text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_prefix text;
+begin
+  v_prefix := public.ensure_business_order_prefix(p_business_id);
+
+  insert into public.business_order_counters as c (business_id, last_number)
+  values (p_business_id, 1)
+  on conflict (business_id) do update set last_number = c.last_number + 1
+  returning last_number into seq;
+
+  order_number := v_prefix || '-' || case when seq < 100000 then lpad(seq::text, 5, '0') else seq::text end;
+end;
+$$;
+
+create or replace function public.assign_order_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_next record;
+begin
+  if new.order_number is null and new.business_id is not null then
+    select * into v_next from public.next_order_number(new.business_id);
+    new.order_seq := v_next.seq;
+    new.order_number := v_next.order_number;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_assign_order_number on public.orders;
+create trigger orders_assign_order_number
+  before insert on public.orders
+  for each row execute function public.assign_order_number();
+
+-- Backfill: numerar órdenes existentes en orden de creación
+do $$
+declare
+  r record;
+  v_next record;
+begin
+  for r in
+    select id, business_id from public.orders
+    where order_number is null and business_id is not null
+    order by created_at, id
+  loop
+    select * into v_next from public.next_order_number(r.business_id);
+    update public.orders set order_seq = v_next.seq, order_number = v_next.order_number where id = r.id;
+  end loop;
+end;
+$$;
+
+revoke execute on function public.ensure_business_order_prefix(uuid) from public, anon, authenticated;
+revoke execute on function public.next_order_number(uuid) from public, anon, authenticated;
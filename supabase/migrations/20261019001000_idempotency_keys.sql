@@ -0,0 +1,19 @@
+-- Respuestas guardadas por Idempotency-Key (por usuario y endpoint) para que los reintentos
+-- de clientes con mala conexión no repitan el trabajo (p.ej. pedidos duplicados).
+create table if not exists public.idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  scope text not null,
+  key text not null,
+  request_hash text not null,
+  status text not null default 'processing' check (status in ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create unique index if not exists idempotency_keys_user_scope_key on public.idempotency_keys (user_id, scope, key);
+create index if not exists idempotency_keys_created_at_idx on public.idempotency_keys (created_at);
+
+alter table public.idempotency_keys enable row level security;
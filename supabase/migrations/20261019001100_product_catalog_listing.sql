@@ -0,0 +1,70 @@
+-- Catálogo paginado: columnas para filtrar "solo con stock" y ordenar por rating / más vendidos.
+
+-- Disponible = stock - reserved_stock (PostgREST no compara columnas entre sí, así que se materializa)
+alter table public.products
+  add column if not exists available_stock integer
+  generated always as (greatest(coalesce(stock, 0) - coalesce(reserved_stock, 0), 0)) stored;
+
+-- Unidades vendidas (entregadas). Se mantiene desde apply_stock_movement.
+alter table public.products add column if not exists sold_count integer not null default 0;
+
+-- Promedio de reseñas del producto (0 mientras no tenga reseñas)
+alter table public.products add column if not exists rating numeric(3, 2) not null default 0;
+alter table public.products add column if not exists rating_count integer not null default 0;
+
+update public.products p
+set sold_count = s.quantity
+from (
+  select oi.product_id, sum(oi.quantity)::int as quantity
+  from public.order_items oi
+  join public.orders o on o.id = oi.order_id
+  where o.status = 'delivered'
+  group by oi.product_id
+) s
+where p.id = s.product_id;
+
+create index if not exists products_created_at_idx on public.products (created_at desc);
+create index if not exists products_price_idx on public.products (price);
+create index if not exists products_business_id_idx on public.products (business_id);
+create index if not exists products_category_idx on public.products (category);
+create index if not exists products_sold_count_idx on public.products (sold_count desc);
+create index if not exists products_rating_idx on public.products (rating desc);
+
+-- Igual que antes, pero commit/deduct suman a sold_count y restock lo descuenta.
+create or replace function public.apply_stock_movement(p_items jsonb, p_movement text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_movement not in ('release', 'commit', 'deduct', 'restock') then
+    raise exception 'Movimiento de stock inválido: %', p_movement;
+  end if;
+
+  update public.products p
+  set
+    stock = case
+      when p_movement in ('commit', 'deduct') then greatest(0, coalesce(p.stock, 0) - req.quantity)
+      when p_movement = 'restock' then coalesce(p.stock, 0) + req.quantity
+      else p.stock
+    end,
+    reserved_stock = case
+      when p_movement in ('release', 'commit') then greatest(0, coalesce(p.reserved_stock, 0) - req.quantity)
+      else p.reserved_stock
+    end,
+    sold_count = case
+      when p_movement in ('commit', 'deduct') then coalesce(p.sold_count, 0) + req.quantity
+      when p_movement = 'restock' then greatest(0, coalesce(p.sold_count, 0) - req.quantity)
+      else p.sold_count
+    end
+  from (
+    select (x->>'product_id')::uuid as product_id, sum((x->>'quantity')::int) as quantity
+    from jsonb_array_elements(p_items) x
+    group by 1
+  ) req
+  where p.id = req.product_id;
+end;
+$$;
+
+revoke execute on function public.apply_stock_movement(jsonb, text) from public, anon, authenticated;
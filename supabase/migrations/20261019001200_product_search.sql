@@ -0,0 +1,194 @@
+-- Búsqueda de productos: full-text en español sin tildes (café = cafe), tolerante a errores de tipeo
+-- (trigramas sobre el nombre), con ranking y resaltado. La consulta llega como parámetro de la RPC,
+-- nunca se interpola en filtros de PostgREST.
+create extension if not exists unaccent with schema extensions;
+create extension if not exists pg_trgm with schema extensions;
+
+-- unaccent() no es IMMUTABLE; este wrapper sí (diccionario fijo) para poder indexarlo
+create or replace function public.f_unaccent(text)
+returns text
+language sql
+immutable
+parallel safe
+strict
+as $$
+  select extensions.unaccent('extensions.unaccent'::regdictionary, $1)
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_ts_config where cfgname = 'es_unaccent') then
+    create text search configuration public.es_unaccent (copy = pg_catalog.spanish);
+    alter text search configuration public.es_unaccent
+      alter mapping for hword, hword_part, word with extensions.unaccent, spanish_stem;
+  end if;
+end;
+$$;
+
+-- Pesos: nombre (A) > categoría (B) > nombre del negocio (C) > descripción (D)
+create or replace function public.product_search_vector(p_name text, p_category text, p_business_name text, p_description text)
+returns tsvector
+language sql
+immutable
+as $$
+  select
+    setweight(to_tsvector('public.es_unaccent'::regconfig, coalesce(p_name, '')), 'A')
+    || setweight(to_tsvector('public.es_unaccent'::regconfig, coalesce(p_category, '')), 'B')
+    || setweight(to_tsvector('public.es_unaccent'::regconfig, coalesce(p_business_name, '')), 'C')
+    || setweight(to_tsvector('public.es_unaccent'::regconfig, coalesce(p_description, '')), 'D')
+$$;
+
+-- Documento de búsqueda en tabla aparte para no inflar los select('*') de products
+create table if not exists public.product_search_documents (
+  product_id uuid primary key references public.products (id) on delete cascade,
+  document tsvector not null
+);
+
+alter table public.product_search_documents enable row level security;
+
+create or replace function public.products_refresh_search_document()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_business_name text;
+begin
+  select name into v_business_name from public.businesses where id = new.business_id;
+  insert into public.product_search_documents (product_id, document)
+  values (new.id, public.product_search_vector(new.name, new.category, v_business_name, new.description))
+  on conflict (product_id) do update set document = excluded.document;
+  return new;
+end;
+$$;
+
+drop trigger if exists products_refresh_search_document on public.products;
+create trigger products_refresh_search_document
+  after insert or update of name, description, category, business_id on public.products
+  for each row execute function public.products_refresh_search_document();
+
+-- Si el negocio cambia de nombre, reindexar sus productos
+create or replace function public.businesses_refresh_product_search()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.product_search_documents d
+  set document = public.product_search_vector(p.name, p.category, new.name, p.description)
+  from public.products p
+  where p.id = d.product_id and p.business_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists businesses_refresh_product_search on public.businesses;
+create trigger businesses_refresh_product_search
+  after update of name on public.businesses
+  for each row
+  when (old.name is distinct from new.name)
+  execute function public.businesses_refresh_product_search();
+
+insert into public.product_search_documents (product_id, document)
+select p.id, public.product_search_vector(p.name, p.category, b.name, p.description)
+from public.products p
+left join public.businesses b on b.id = p.business_id
+on conflict (product_id) do update set document = excluded.document;
+
+create index if not exists product_search_documents_document_idx on public.product_search_documents using gin (document);
+create index if not exists products_name_trgm_idx on public.products
+  using gin (public.f_unaccent(lower(name)) extensions.gin_trgm_ops);
+
+-- Escapa HTML antes de resaltar: el cliente puede renderizar los <mark> como HTML sin riesgo
+create or replace function public.escape_html(p_text text)
+returns text
+language sql
+immutable
+as $$
+  select replace(replace(replace(replace(coalesce(p_text, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;')
+$$;
+
+-- Devuelve la página pedida con: producto (jsonb), rank, nombre/descripción resaltados y total de coincidencias.
+-- p_sort: relevance | newest | price_asc | price_desc | rating | best_selling (desempate por relevancia).
+create or replace function public.search_products(
+  p_query text,
+  p_category text default null,
+  p_business_id uuid default null,
+  p_min_price numeric default null,
+  p_max_price numeric default null,
+  p_featured boolean default null,
+  p_in_stock boolean default false,
+  p_sort text default 'relevance',
+  p_limit integer default 24,
+  p_offset integer default 0
+)
+returns table (
+  product jsonb,
+  rank real,
+  name_highlight text,
+  description_highlight text,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public, extensions
+set pg_trgm.word_similarity_threshold = '0.4'
+as $$
+  with q as (
+    select
+      websearch_to_tsquery('public.es_unaccent'::regconfig, coalesce(p_query, '')) as tsq,
+      public.f_unaccent(lower(trim(coalesce(p_query, '')))) as plain
+  ),
+  matched as (
+    select
+      p.id,
+      (coalesce(ts_rank_cd(d.document, q.tsq), 0)
+        + word_similarity(q.plain, public.f_unaccent(lower(p.name))) * 0.5)::real as score
+    from public.products p
+    cross join q
+    left join public.product_search_documents d on d.product_id = p.id
+    where q.plain <> ''
+      and (d.document @@ q.tsq or q.plain <% public.f_unaccent(lower(p.name)))
+      and (p_category is null or p.category = p_category)
+      and (p_business_id is null or p.business_id = p_business_id)
+      and (p_min_price is null or p.price >= p_min_price)
+      and (p_max_price is null or p.price <= p_max_price)
+      and (p_featured is null or p.featured = p_featured)
+      and (not coalesce(p_in_stock, false) or p.available_stock > 0)
+  ),
+  page as (
+    select
+      p as prod,
+      m.score,
+      count(*) over () as total,
+      row_number() over (
+        order by
+          case when p_sort = 'price_asc' then p.price end asc nulls last,
+          case when p_sort = 'price_desc' then p.price end desc nulls last,
+          case when p_sort = 'newest' then p.created_at end desc nulls last,
+          case when p_sort = 'rating' then p.rating end desc nulls last,
+          case when p_sort = 'best_selling' then p.sold_count end desc nulls last,
+          m.score desc,
+          p.id
+      ) as pos
+    from matched m
+    join public.products p on p.id = m.id
+  )
+  select
+    to_jsonb(page.prod),
+    page.score,
+    ts_headline('public.es_unaccent'::regconfig, public.escape_html((page.prod).name), q.tsq,
+      'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('public.es_unaccent'::regconfig, public.escape_html((page.prod).description), q.tsq,
+      'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" … "'),
+    page.total
+  from page, q
+  where page.pos > greatest(coalesce(p_offset, 0), 0)
+    and page.pos <= greatest(coalesce(p_offset, 0), 0) + least(greatest(coalesce(p_limit, 24), 1), 100)
+  order by page.pos
+$$;
+
+revoke execute on function public.search_products(text, text, uuid, numeric, numeric, boolean, boolean, text, integer, integer) from public, anon, authenticated;
@@ -0,0 +1,214 @@
+-- Variantes de producto (talla, color, sabor...): grupos de opciones en products.options
+-- ([{ "name": "Talla", "values": ["S", "M", "L"] }]) y una fila por combinación en product_variants,
+-- con SKU, precio propio (null = precio del producto), stock e imagen.
+alter table public.products add column if not exists options jsonb not null default '[]'::jsonb;
+
+create table if not exists public.product_variants (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  sku text,
+  options jsonb not null default '{}'::jsonb,
+  price numeric(12, 2),
+  stock integer not null default 0 check (stock >= 0),
+  reserved_stock integer not null default 0 check (reserved_stock >= 0),
+  image_url text,
+  position integer not null default 0,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists product_variants_product_id_idx on public.product_variants (product_id);
+create unique index if not exists product_variants_business_sku_key on public.product_variants (business_id, sku) where sku is not null;
+create unique index if not exists product_variants_product_options_key on public.product_variants (product_id, options) where is_active;
+
+alter table public.product_variants enable row level security;
+
+-- Items de pedido: variante elegida + snapshot legible (la variante puede cambiar o archivarse después)
+alter table public.order_items add column if not exists variant_id uuid references public.product_variants (id) on delete set null;
+alter table public.order_items add column if not exists variant_label text;
+alter table public.order_items add column if not exists sku text;
+
+-- Un producto con variantes activas expone como stock/reserved_stock la suma de sus variantes,
+-- así el catálogo (available_stock, filtro inStock) sigue funcionando sin cambios.
+create or replace function public.sync_product_stock_from_variants(p_product_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.products p
+  set stock = v.stock, reserved_stock = v.reserved_stock
+  from (
+    select sum(stock)::int as stock, sum(reserved_stock)::int as reserved_stock
+    from public.product_variants
+    where product_id = p_product_id and is_active
+    having count(*) > 0
+  ) v
+  where p.id = p_product_id;
+end;
+$$;
+
+create or replace function public.product_variants_sync_product_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    perform public.sync_product_stock_from_variants(old.product_id);
+  end if;
+  if tg_op in ('INSERT', 'UPDATE') and (tg_op = 'INSERT' or new.product_id is distinct from old.product_id) then
+    perform public.sync_product_stock_from_variants(new.product_id);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists product_variants_sync_product_stock on public.product_variants;
+create trigger product_variants_sync_product_stock
+  after insert or update of stock, reserved_stock, is_active, product_id or delete on public.product_variants
+  for each row execute function public.product_variants_sync_product_stock();
+
+-- Agrupa los items de las RPC de stock por (producto, variante)
+create or replace function public.stock_request_items(p_items jsonb)
+returns table (product_id uuid, variant_id uuid, quantity integer)
+language sql
+immutable
+as $$
+  select (x->>'product_id')::uuid, nullif(x->>'variant_id', '')::uuid, sum((x->>'quantity')::int)::int
+  from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) x
+  group by 1, 2
+$$;
+
+-- Reserva atómica (reemplaza la versión por producto).
+-- p_items: [{ "product_id": uuid, "variant_id": uuid | null, "quantity": int }].
+-- Items con variant_id reservan sobre la variante; sin variant_id, sobre el producto.
+-- Si falta stock en alguno no reserva nada y devuelve [{ product_id, variant_id, requested, available }].
+create or replace function public.reserve_stock(p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shortages jsonb;
+begin
+  -- Bloqueo en orden fijo (variantes y luego productos, por id) para evitar deadlocks
+  perform 1 from public.product_variants v
+  where v.id in (select variant_id from public.stock_request_items(p_items) where variant_id is not null)
+  order by v.id
+  for update;
+
+  perform 1 from public.products p
+  where p.id in (select product_id from public.stock_request_items(p_items) where variant_id is null)
+  order by p.id
+  for update;
+
+  select coalesce(jsonb_agg(s.shortage), '[]'::jsonb)
+  into v_shortages
+  from (
+    select jsonb_build_object(
+      'product_id', r.product_id,
+      'variant_id', null,
+      'requested', r.quantity,
+      'available', coalesce(p.stock, 0) - coalesce(p.reserved_stock, 0)
+    ) as shortage
+    from public.stock_request_items(p_items) r
+    left join public.products p on p.id = r.product_id
+    where r.variant_id is null
+      and (p.id is null or coalesce(p.stock, 0) - coalesce(p.reserved_stock, 0) < r.quantity)
+    union all
+    select jsonb_build_object(
+      'product_id', r.product_id,
+      'variant_id', r.variant_id,
+      'requested', r.quantity,
+      'available', case when v.is_active then v.stock - v.reserved_stock else 0 end
+    )
+    from public.stock_request_items(p_items) r
+    left join public.product_variants v on v.id = r.variant_id and v.product_id = r.product_id
+    where r.variant_id is not null
+      and (v.id is null or not v.is_active or v.stock - v.reserved_stock < r.quantity)
+  ) s;
+
+  if jsonb_array_length(v_shortages) > 0 then
+    return v_shortages;
+  end if;
+
+  update public.products p
+  set reserved_stock = coalesce(p.reserved_stock, 0) + r.quantity
+  from public.stock_request_items(p_items) r
+  where r.variant_id is null and p.id = r.product_id;
+
+  update public.product_variants v
+  set reserved_stock = v.reserved_stock + r.quantity, updated_at = now()
+  from public.stock_request_items(p_items) r
+  where r.variant_id is not null and v.id = r.variant_id;
+
+  return '[]'::jsonb;
+end;
+$$;
+
+-- Movimientos sobre reservas/stock: release | commit | deduct | restock, por producto o por variante.
+-- sold_count siempre se lleva a nivel de producto.
+create or replace function public.apply_stock_movement(p_items jsonb, p_movement text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_movement not in ('release', 'commit', 'deduct', 'restock') then
+    raise exception 'Movimiento de stock inválido: %', p_movement;
+  end if;
+
+  update public.product_variants v
+  set
+    stock = case
+      when p_movement in ('commit', 'deduct') then greatest(0, v.stock - m.quantity)
+      when p_movement = 'restock' then v.stock + m.quantity
+      else v.stock
+    end,
+    reserved_stock = case
+      when p_movement in ('release', 'commit') then greatest(0, v.reserved_stock - m.quantity)
+      else v.reserved_stock
+    end,
+    updated_at = now()
+  from public.stock_request_items(p_items) m
+  where m.variant_id is not null and v.id = m.variant_id;
+
+  update public.products p
+  set
+    stock = case
+      when m.has_simple and p_movement in ('commit', 'deduct') then greatest(0, coalesce(p.stock, 0) - m.simple_quantity)
+      when m.has_simple and p_movement = 'restock' then coalesce(p.stock, 0) + m.simple_quantity
+      else p.stock
+    end,
+    reserved_stock = case
+      when m.has_simple and p_movement in ('release', 'commit') then greatest(0, coalesce(p.reserved_stock, 0) - m.simple_quantity)
+      else p.reserved_stock
+    end,
+    sold_count = case
+      when p_movement in ('commit', 'deduct') then coalesce(p.sold_count, 0) + m.total_quantity
+      when p_movement = 'restock' then greatest(0, coalesce(p.sold_count, 0) - m.total_quantity)
+      else p.sold_count
+    end
+  from (
+    select
+      product_id,
+      bool_or(variant_id is null) as has_simple,
+      coalesce(sum(quantity) filter (where variant_id is null), 0)::int as simple_quantity,
+      sum(quantity)::int as total_quantity
+    from public.stock_request_items(p_items)
+    group by product_id
+  ) m
+  where p.id = m.product_id;
+end;
+$$;
+
+revoke execute on function public.sync_product_stock_from_variants(uuid) from public, anon, authenticated;
+revoke execute on function public.reserve_stock(jsonb) from public, anon, authenticated;
+revoke execute on function public.apply_stock_movement(jsonb, text) from public, anon, authenticated;
@@ -0,0 +1,24 @@
+-- Reseñas por producto: solo clientes con un pedido entregado que incluya el producto
+-- (compra verificada). Una reseña por usuario y producto; el negocio puede responder públicamente.
+create table if not exists public.product_reviews (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  order_id uuid references public.orders (id) on delete set null,
+  rating smallint not null check (rating between 1 and 5),
+  comment text,
+  photos text[] not null default '{}',
+  verified_purchase boolean not null default false,
+  reply text,
+  reply_user_id uuid references auth.users (id) on delete set null,
+  replied_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists product_reviews_product_user_key on public.product_reviews (product_id, user_id);
+create index if not exists product_reviews_product_created_idx on public.product_reviews (product_id, created_at desc);
+create index if not exists product_reviews_business_id_idx on public.product_reviews (business_id);
+
+alter table public.product_reviews enable row level security;
@@ -0,0 +1,5 @@
+-- SKU de productos simples (las variantes tienen el suyo). Único por negocio: la importación CSV
+-- en modo upsert lo usa como clave.
+alter table public.products add column if not exists sku text;
+
+create unique index if not exists products_business_sku_key on public.products (business_id, sku) where sku is not null;
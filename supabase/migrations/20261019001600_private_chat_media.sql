@@ -0,0 +1,7 @@
+-- Imágenes del chat privadas: el bucket deja de ser público y el backend (service role) entrega URLs
+-- firmadas de vida corta solo a participantes autorizados. Los mensajes nuevos guardan la ruta del
+-- objeto; los antiguos con URL pública se siguen resolviendo a su ruta al leerlos.
+-- Si se usa otro nombre de bucket (SUPABASE_CHAT_MEDIA_BUCKET), ajustar el id.
+insert into storage.buckets (id, name, public)
+values ('chat-media', 'chat-media', false)
+on conflict (id) do update set public = false;
@@ -0,0 +1,45 @@
+-- Mensajes del chat tipados: en vez de codificar las imágenes como "__img__:<url>\n<caption>" en text,
+-- cada mensaje tiene type, caption, attachments (adjuntos con la ruta en el bucket privado) y metadata
+-- (tarjeta de producto, referencia de pedido, evento de sistema).
+alter table public.messages
+  add column if not exists type text not null default 'text',
+  add column if not exists caption text,
+  add column if not exists attachments jsonb not null default '[]'::jsonb,
+  add column if not exists metadata jsonb not null default '{}'::jsonb;
+
+alter table public.messages drop constraint if exists messages_type_check;
+alter table public.messages
+  add constraint messages_type_check check (type in ('text', 'image', 'file', 'product', 'order', 'system'));
+
+alter table public.messages drop constraint if exists messages_attachments_is_array;
+alter table public.messages
+  add constraint messages_attachments_is_array check (jsonb_typeof(attachments) = 'array');
+
+-- Migrar las filas antiguas. Las URLs públicas del bucket del chat pasan a ser rutas; las externas
+-- quedan como url. Después de esto el backend solo lee el formato viejo en filas sin columna type.
+with legacy as (
+  select
+    id,
+    btrim(split_part(substr(text, 9), E'\n', 1)) as ref,
+    case when position(E'\n' in text) > 0 then nullif(btrim(substr(text, position(E'\n' in text) + 1)), '') end as caption
+  from public.messages
+  where type = 'text' and text like '\_\_img\_\_:%'
+)
+update public.messages m
+set
+  type = 'image',
+  caption = l.caption,
+  text = coalesce(l.caption, ''),
+  attachments = case
+    when l.ref = '' then '[]'::jsonb
+    when l.ref ~ '/storage/v1/object/(public|sign|authenticated)/chat-media/' then jsonb_build_array(jsonb_build_object(
+      'kind', 'image',
+      'path', regexp_replace(l.ref, '^.*/storage/v1/object/(public|sign|authenticated)/chat-media/([^?#]+).*$', '\2')
+    ))
+    when l.ref ~* '^https?://' then jsonb_build_array(jsonb_build_object('kind', 'image', 'url', l.ref))
+    else jsonb_build_array(jsonb_build_object('kind', 'image', 'path', l.ref))
+  end
+from legacy l
+where m.id = l.id;
+
+create index if not exists messages_order_id_type_idx on public.messages (order_id, type);
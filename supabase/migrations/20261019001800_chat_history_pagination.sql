@@ -0,0 +1,46 @@
+-- Historial del chat paginado por cursor (keyset sobre created_at, id) con el filtro de bloqueos en la
+-- misma consulta. p_thread_ids permite mezclar los mensajes antiguos guardados por orderId con los del
+-- hilo conv:<business>:<customer>.
+-- Sin cursores devuelve los últimos p_limit; con p_before los anteriores a ese mensaje; con p_after los
+-- posteriores (en orden ascendente). Se pide p_limit + 1 desde el backend para saber si hay más.
+create index if not exists messages_order_id_created_at_idx on public.messages (order_id, created_at desc, id);
+
+create or replace function public.get_chat_messages(
+  p_thread_ids text[],
+  p_viewer_id text default null,
+  p_before_at timestamptz default null,
+  p_before_id text default null,
+  p_after_at timestamptz default null,
+  p_after_id text default null,
+  p_limit integer default 50
+)
+returns setof public.messages
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.*
+  from public.messages m
+  where m.order_id::text = any(p_thread_ids)
+    and (
+      p_viewer_id is null
+      or m.sender_id is null
+      or not exists (
+        select 1
+        from public.user_blocks b
+        where b.blocker_id::text = p_viewer_id
+          and b.blocked_id::text = m.sender_id::text
+      )
+    )
+    and (p_before_at is null or (m.created_at, m.id::text) < (p_before_at, coalesce(p_before_id, '')))
+    and (p_after_at is null or (m.created_at, m.id::text) > (p_after_at, coalesce(p_after_id, '')))
+  order by
+    case when p_after_at is not null then m.created_at end asc,
+    case when p_after_at is not null then m.id::text end asc,
+    m.created_at desc,
+    m.id::text desc
+  limit least(greatest(coalesce(p_limit, 50), 1), 201)
+$$;
+
+revoke execute on function public.get_chat_messages(text[], text, timestamptz, text, timestamptz, text, integer) from public, anon, authenticated;
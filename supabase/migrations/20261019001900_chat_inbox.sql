@@ -0,0 +1,176 @@
+-- Bandeja de conversaciones: índice de hilos conv:<business_id>:<customer_id> (mantenido por trigger al
+-- insertar mensajes) + estado por participante (última lectura, silenciado, archivado).
+create table if not exists public.chat_conversations (
+  id text primary key,
+  business_id uuid not null,
+  customer_id uuid not null,
+  last_message_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists chat_conversations_business_idx on public.chat_conversations (business_id, last_message_at desc);
+create index if not exists chat_conversations_customer_idx on public.chat_conversations (customer_id, last_message_at desc);
+
+create table if not exists public.chat_conversation_members (
+  conversation_id text not null references public.chat_conversations(id) on delete cascade,
+  user_id uuid not null,
+  last_read_at timestamptz,
+  muted boolean not null default false,
+  archived boolean not null default false,
+  updated_at timestamptz not null default now(),
+  primary key (conversation_id, user_id)
+);
+
+create index if not exists chat_conversation_members_user_idx on public.chat_conversation_members (user_id);
+
+alter table public.chat_conversations enable row level security;
+alter table public.chat_conversation_members enable row level security;
+
+-- Solo ids con el formato nuevo (los hilos por orderId son históricos y se leen vía compat)
+create or replace function public.parse_conversation_id(p_id text)
+returns table (business_id uuid, customer_id uuid)
+language sql
+immutable
+as $$
+  select split_part(p_id, ':', 2)::uuid, split_part(p_id, ':', 3)::uuid
+  where p_id ~* '^conv:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+$$;
+
+-- Al llegar un mensaje: registrar/actualizar la conversación y desarchivarla para el destinatario
+create or replace function public.touch_chat_conversation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ids record;
+begin
+  select * into v_ids from public.parse_conversation_id(new.order_id::text);
+  if not found then
+    return new;
+  end if;
+
+  insert into public.chat_conversations (id, business_id, customer_id, last_message_at)
+  values (new.order_id::text, v_ids.business_id, v_ids.customer_id, new.created_at)
+  on conflict (id) do update
+    set last_message_at = greatest(public.chat_conversations.last_message_at, excluded.last_message_at);
+
+  update public.chat_conversation_members
+  set archived = false, updated_at = now()
+  where conversation_id = new.order_id::text
+    and archived
+    and user_id::text is distinct from new.sender_id::text;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_touch_conversation on public.messages;
+create trigger messages_touch_conversation
+  after insert on public.messages
+  for each row execute function public.touch_chat_conversation();
+
+-- Backfill: conversaciones existentes, con el historial marcado como leído para ambos participantes
+insert into public.chat_conversations (id, business_id, customer_id, last_message_at, created_at)
+select m.order_id::text, p.business_id, p.customer_id, max(m.created_at), min(m.created_at)
+from public.messages m
+cross join lateral public.parse_conversation_id(m.order_id::text) p
+group by m.order_id, p.business_id, p.customer_id
+on conflict (id) do update set last_message_at = excluded.last_message_at;
+
+insert into public.chat_conversation_members (conversation_id, user_id, last_read_at)
+select c.id, c.customer_id, c.last_message_at from public.chat_conversations c
+union
+select c.id, b.owner_id, c.last_message_at
+from public.chat_conversations c
+join public.businesses b on b.id = c.business_id
+where b.owner_id is not null
+on conflict (conversation_id, user_id) do nothing;
+
+-- Conversaciones del usuario (como cliente o dueño del negocio), por actividad reciente, con el último
+-- mensaje visible y los no leídos (mensajes del otro participante posteriores a last_read_at).
+-- Los mensajes de usuarios bloqueados por el viewer no cuentan, igual que en get_chat_messages.
+create or replace function public.list_chat_conversations(
+  p_user_id uuid,
+  p_archived boolean default false,
+  p_limit integer default 24,
+  p_offset integer default 0
+)
+returns table (
+  conversation_id text,
+  business_id uuid,
+  customer_id uuid,
+  viewer_role text,
+  last_message_at timestamptz,
+  last_message jsonb,
+  unread_count bigint,
+  muted boolean,
+  archived boolean,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with mine as (
+    select
+      c.*,
+      case when c.customer_id = p_user_id then 'customer' else 'business' end as viewer_role,
+      coalesce(s.muted, false) as muted,
+      coalesce(s.archived, false) as archived,
+      s.last_read_at
+    from public.chat_conversations c
+    left join public.businesses b on b.id = c.business_id
+    left join public.chat_conversation_members s on s.conversation_id = c.id and s.user_id = p_user_id
+    where (c.customer_id = p_user_id or b.owner_id = p_user_id)
+      and coalesce(s.archived, false) = coalesce(p_archived, false)
+  ),
+  page as (
+    select mine.*, count(*) over () as total
+    from mine
+    order by mine.last_message_at desc nulls last, mine.id
+    limit least(greatest(coalesce(p_limit, 24), 1), 100)
+    offset greatest(coalesce(p_offset, 0), 0)
+  ),
+  visible as (
+    select m.*
+    from public.messages m
+    join page on m.order_id::text = page.id
+    where m.sender_id is null
+      or not exists (
+        select 1
+        from public.user_blocks ub
+        where ub.blocker_id::text = p_user_id::text
+          and ub.blocked_id::text = m.sender_id::text
+      )
+  )
+  select
+    page.id,
+    page.business_id,
+    page.customer_id,
+    page.viewer_role,
+    page.last_message_at,
+    (
+      select to_jsonb(v)
+      from visible v
+      where v.order_id::text = page.id
+      order by v.created_at desc, v.id::text desc
+      limit 1
+    ),
+    (
+      select count(*)
+      from visible v
+      where v.order_id::text = page.id
+        and v.sender_id::text is distinct from p_user_id::text
+        and (page.last_read_at is null or v.created_at > page.last_read_at)
+    ),
+    page.muted,
+    page.archived,
+    page.total
+  from page
+  order by page.last_message_at desc nulls last, page.id
+$$;
+
+revoke execute on function public.list_chat_conversations(uuid, boolean, integer, integer) from public, anon, authenticated;
@@ -0,0 +1,55 @@
+-- Read/delivered receipts persistentes: un marcador por participante y conversación (hasta dónde le
+-- llegaron y hasta dónde leyó). El estado de cada mensaje (sent/delivered/read) y los no leídos de la
+-- bandeja se derivan de estos mismos marcadores.
+alter table public.chat_conversation_members
+  add column if not exists last_delivered_at timestamptz,
+  add column if not exists last_read_message_id text;
+
+-- Avanza los marcadores sin retroceder nunca (reintentos o eventos fuera de orden no los pisan).
+-- Leer implica recibido.
+create or replace function public.mark_chat_receipt(
+  p_conversation_id text,
+  p_user_id uuid,
+  p_delivered_at timestamptz default null,
+  p_read_at timestamptz default null,
+  p_read_message_id text default null
+)
+returns public.chat_conversation_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ids record;
+  v_row public.chat_conversation_members;
+  v_delivered timestamptz := greatest(p_delivered_at, p_read_at);
+begin
+  select * into v_ids from public.parse_conversation_id(p_conversation_id);
+  if not found then
+    raise exception 'invalid conversation id %', p_conversation_id using errcode = '22023';
+  end if;
+
+  insert into public.chat_conversations (id, business_id, customer_id)
+  values (p_conversation_id, v_ids.business_id, v_ids.customer_id)
+  on conflict (id) do nothing;
+
+  insert into public.chat_conversation_members as m (
+    conversation_id, user_id, last_delivered_at, last_read_at, last_read_message_id, updated_at
+  )
+  values (p_conversation_id, p_user_id, v_delivered, p_read_at, case when p_read_at is not null then p_read_message_id end, now())
+  on conflict (conversation_id, user_id) do update
+    set last_delivered_at = greatest(m.last_delivered_at, excluded.last_delivered_at),
+        last_read_at = greatest(m.last_read_at, excluded.last_read_at),
+        last_read_message_id = case
+          when excluded.last_read_at is not null and excluded.last_read_at >= coalesce(m.last_read_at, '-infinity'::timestamptz)
+            then coalesce(excluded.last_read_message_id, m.last_read_message_id)
+          else m.last_read_message_id
+        end,
+        updated_at = now()
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+revoke execute on function public.mark_chat_receipt(text, uuid, timestamptz, timestamptz, text) from public, anon, authenticated;
@@ -0,0 +1,5 @@
+-- Privacidad del chat persistente (antes vivía solo en memoria del proceso de sockets y se perdía
+-- con cada reinicio/deploy). Sin fila en user_settings valen los defaults: todo visible.
+alter table public.user_settings
+  add column if not exists show_connection_status boolean not null default true,
+  add column if not exists show_read_receipts boolean not null default true;
@@ -0,0 +1,223 @@
+-- Editar y borrar mensajes del chat.
+-- - Editar: solo el remitente y dentro de la ventana de edición; el texto anterior queda en
+--   chat_message_edits (historial para moderación).
+-- - Borrar para todos: borrado lógico (deleted_at); el contenido se conserva para los admins y los
+--   participantes reciben un tombstone.
+-- - Borrar para mí: chat_message_hidden oculta el mensaje solo para ese usuario.
+alter table public.messages
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid;
+
+create table if not exists public.chat_message_edits (
+  id bigint generated always as identity primary key,
+  message_id text not null,
+  conversation_id text,
+  editor_id uuid,
+  previous_text text,
+  previous_caption text,
+  edited_at timestamptz not null default now()
+);
+
+create index if not exists chat_message_edits_message_idx on public.chat_message_edits (message_id, edited_at desc);
+
+create table if not exists public.chat_message_hidden (
+  message_id text not null,
+  user_id uuid not null,
+  hidden_at timestamptz not null default now(),
+  primary key (message_id, user_id)
+);
+
+create index if not exists chat_message_hidden_user_idx on public.chat_message_hidden (user_id);
+
+alter table public.chat_message_edits enable row level security;
+alter table public.chat_message_hidden enable row level security;
+
+-- Edición atómica: bloquea la fila, guarda la versión anterior y aplica la nueva. No devuelve filas si
+-- el mensaje no existe, no es del editor, está borrado o es anterior a p_not_before (ventana vencida).
+create or replace function public.edit_chat_message(
+  p_message_id text,
+  p_editor_id uuid,
+  p_text text,
+  p_caption text default null,
+  p_not_before timestamptz default null
+)
+returns setof public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id public.messages.id%type;
+  v_message public.messages;
+begin
+  -- El id llega como texto: se convierte al tipo de la PK para que la búsqueda use el índice
+  begin
+    v_id := p_message_id;
+  exception when invalid_text_representation then
+    return;
+  end;
+
+  select * into v_message from public.messages where id = v_id for update;
+  if not found
+    or v_message.sender_id::text is distinct from p_editor_id::text
+    or v_message.deleted_at is not null
+    or (p_not_before is not null and v_message.created_at < p_not_before) then
+    return;
+  end if;
+
+  insert into public.chat_message_edits (message_id, conversation_id, editor_id, previous_text, previous_caption)
+  values (p_message_id, v_message.order_id::text, p_editor_id, v_message.text, v_message.caption);
+
+  return query
+    update public.messages
+    set text = p_text, caption = p_caption, edited_at = now()
+    where id = v_message.id
+    returning *;
+end;
+$$;
+
+revoke execute on function public.edit_chat_message(text, uuid, text, text, timestamptz) from public, anon, authenticated;
+
+-- Historial y bandeja: además de los bloqueos, excluyen los mensajes que el viewer borró para sí
+create or replace function public.get_chat_messages(
+  p_thread_ids text[],
+  p_viewer_id text default null,
+  p_before_at timestamptz default null,
+  p_before_id text default null,
+  p_after_at timestamptz default null,
+  p_after_id text default null,
+  p_limit integer default 50
+)
+returns setof public.messages
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.*
+  from public.messages m
+  where m.order_id::text = any(p_thread_ids)
+    and (
+      p_viewer_id is null
+      or m.sender_id is null
+      or not exists (
+        select 1
+        from public.user_blocks b
+        where b.blocker_id::text = p_viewer_id
+          and b.blocked_id::text = m.sender_id::text
+      )
+    )
+    and (
+      p_viewer_id is null
+      or not exists (
+        select 1
+        from public.chat_message_hidden h
+        where h.message_id = m.id::text
+          and h.user_id::text = p_viewer_id
+      )
+    )
+    and (p_before_at is null or (m.created_at, m.id::text) < (p_before_at, coalesce(p_before_id, '')))
+    and (p_after_at is null or (m.created_at, m.id::text) > (p_after_at, coalesce(p_after_id, '')))
+  order by
+    case when p_after_at is not null then m.created_at end asc,
+    case when p_after_at is not null then m.id::text end asc,
+    m.created_at desc,
+    m.id::text desc
+  limit least(greatest(coalesce(p_limit, 50), 1), 201)
+$$;
+
+revoke execute on function public.get_chat_messages(text[], text, timestamptz, text, timestamptz, text, integer) from public, anon, authenticated;
+
+-- Último mensaje y no leídos de la bandeja sin los mensajes borrados para mí
+create or replace function public.list_chat_conversations(
+  p_user_id uuid,
+  p_archived boolean default false,
+  p_limit integer default 24,
+  p_offset integer default 0
+)
+returns table (
+  conversation_id text,
+  business_id uuid,
+  customer_id uuid,
+  viewer_role text,
+  last_message_at timestamptz,
+  last_message jsonb,
+  unread_count bigint,
+  muted boolean,
+  archived boolean,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with mine as (
+    select
+      c.*,
+      case when c.customer_id = p_user_id then 'customer' else 'business' end as viewer_role,
+      coalesce(s.muted, false) as muted,
+      coalesce(s.archived, false) as archived,
+      s.last_read_at
+    from public.chat_conversations c
+    left join public.businesses b on b.id = c.business_id
+    left join public.chat_conversation_members s on s.conversation_id = c.id and s.user_id = p_user_id
+    where (c.customer_id = p_user_id or b.owner_id = p_user_id)
+      and coalesce(s.archived, false) = coalesce(p_archived, false)
+  ),
+  page as (
+    select mine.*, count(*) over () as total
+    from mine
+    order by mine.last_message_at desc nulls last, mine.id
+    limit least(greatest(coalesce(p_limit, 24), 1), 100)
+    offset greatest(coalesce(p_offset, 0), 0)
+  ),
+  visible as (
+    select m.*
+    from public.messages m
+    join page on m.order_id::text = page.id
+    where (
+        m.sender_id is null
+        or not exists (
+          select 1
+          from public.user_blocks ub
+          where ub.blocker_id::text = p_user_id::text
+            and ub.blocked_id::text = m.sender_id::text
+        )
+      )
+      and not exists (
+        select 1
+        from public.chat_message_hidden h
+        where h.message_id = m.id::text
+          and h.user_id = p_user_id
+      )
+  )
+  select
+    page.id,
+    page.business_id,
+    page.customer_id,
+    page.viewer_role,
+    page.last_message_at,
+    (
+      select to_jsonb(v)
+      from visible v
+      where v.order_id::text = page.id
+      order by v.created_at desc, v.id::text desc
+      limit 1
+    ),
+    (
+      select count(*)
+      from visible v
+      where v.order_id::text = page.id
+        and v.sender_id::text is distinct from p_user_id::text
+        and (page.last_read_at is null or v.created_at > page.last_read_at)
+    ),
+    page.muted,
+    page.archived,
+    page.total
+  from page
+  order by page.last_message_at desc nulls last, page.id
+$$;
+
+revoke execute on function public.list_chat_conversations(uuid, boolean, integer, integer) from public, anon, authenticated;
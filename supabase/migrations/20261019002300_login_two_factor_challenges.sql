@@ -0,0 +1,31 @@
+-- Challenges del login con 2FA: antes vivían en memoria del proceso (junto con el token de sesión ya
+-- emitido), se perdían al reiniciar y no se compartían entre instancias. Se guarda solo el hash del
+-- challengeId que recibe el cliente; la sesión se emite recién al validar el segundo factor.
+create table if not exists public.login_two_factor_challenges (
+  challenge_hash text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists login_two_factor_challenges_expires_idx on public.login_two_factor_challenges (expires_at);
+
+alter table public.login_two_factor_challenges enable row level security;
+
+-- Suma un intento de forma atómica y devuelve el challenge (nada si no existe o expiró)
+create or replace function public.register_two_factor_challenge_attempt(p_challenge_hash text)
+returns setof public.login_two_factor_challenges
+language sql
+security definer
+set search_path = public
+as $$
+  update public.login_two_factor_challenges
+  set attempts = attempts + 1
+  where challenge_hash = p_challenge_hash
+    and expires_at > now()
+  returning *
+$$;
+
+revoke execute on function public.register_two_factor_challenge_attempt(text) from public, anon, authenticated;
@@ -0,0 +1,24 @@
+-- Al archivar o borrar la última variante activa, el producto conservaba como stock la última suma de
+-- sus variantes y podía pedirse sin variante contra stock inexistente. Sin variantes activas el stock
+-- vuelve a 0: el vendedor debe cargarlo de nuevo (como producto simple) para volver a venderlo.
+create or replace function public.sync_product_stock_from_variants(p_product_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.products p
+  set
+    stock = coalesce(v.stock, 0),
+    reserved_stock = coalesce(v.reserved_stock, 0)
+  from (
+    select sum(stock)::int as stock, sum(reserved_stock)::int as reserved_stock
+    from public.product_variants
+    where product_id = p_product_id and is_active
+  ) v
+  where p.id = p_product_id;
+end;
+$$;
+
+revoke execute on function public.sync_product_stock_from_variants(uuid) from public, anon, authenticated;
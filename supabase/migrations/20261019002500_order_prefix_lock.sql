@@ -0,0 +1,48 @@
+-- Prefijo de pedidos: dos negocios con la misma base de 4 letras podían elegir el mismo prefijo a la
+-- vez y el primer pedido fallaba por businesses_order_prefix_key. Se toma un advisory lock por base.
+create or replace function public.ensure_business_order_prefix(p_business_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_prefix text;
+  v_name text;
+  v_base text;
+  v_candidate text;
+  v_i integer := 1;
+begin
+  select order_prefix, name into v_prefix, v_name
+  from public.businesses
+  where id = p_business_id
+  for update;
+
+  if v_prefix is not null then
+    return v_prefix;
+  end if;
+
+  v_base := upper(left(regexp_replace(
+    translate(coalesce(v_name, ''), 'áéíóúüñÁÉÍÓÚÜÑ', 'aeiouunAEIOUUN'),
+    '[^A-Za-z0-9]', '', 'g'
+  ), 4));
+  if v_base = '' then
+    v_base := 'UG';
+  end if;
+
+  -- Serializa la elección entre negocios con la misma base: el segundo espera a que el primero
+  -- confirme y ve su prefijo (sin esto ambos elegían el mismo y el insert del pedido fallaba en el índice único)
+  perform pg_advisory_xact_lock(hashtext('business_order_prefix:' || v_base));
+
+  v_candidate := v_base;
+  while exists (select 1 from public.businesses where order_prefix = v_candidate) loop
+    v_i := v_i + 1;
+    v_candidate := v_base || v_i::text;
+  end loop;
+
+  update public.businesses set order_prefix = v_candidate where id = p_business_id;
+  return v_candidate;
+end;
+$$;
+
+revoke execute on function public.ensure_business_order_prefix(uuid) from public, anon, authenticated;